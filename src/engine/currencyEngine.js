@@ -6,6 +6,7 @@ import {
   type EdgeCurrencyEngine,
   type EdgeCurrencyEngineCallbacks,
   type EdgeCurrencyEngineOptions,
+  type EdgeCurrencyInfo,
   type EdgeDataDump,
   type EdgeFreshAddress,
   type EdgeGetTransactionsOptions,
@@ -22,16 +23,30 @@ import { InfoServer } from '../info/constants'
 import { type PluginIo } from '../plugin/pluginIo.js'
 import { PluginState } from '../plugin/pluginState.js'
 import { toLegacyFormat, validAddress } from '../utils/addressFormat.js'
-import type { TxOptions } from '../utils/coinUtils.js'
+import { type Bip322Format, verifyBip322Message } from '../utils/bip322.js'
+import type { Output, TxOptions, Utxo } from '../utils/coinUtils.js'
 import {
+  addressToOutputScript,
   addressToScriptHash,
+  getDisplayAddress,
+  getInputScriptType,
+  getOpReturns,
+  getOutputScriptType,
   getReceiveAddresses,
+  getTxid,
   parseJsonTransaction,
+  signalsRbf,
   signBitcoinMessage,
   sumTransaction,
   sumUtxos,
+  verifyBitcoinMessage,
   verifyTxAmount
 } from '../utils/coinUtils.js'
+import {
+  type ExportFormat,
+  EXPORT_FORMATS,
+  exportTransactions
+} from '../utils/exportTxs.js'
 import type { BitcoinFees, EarnComFees } from '../utils/flowTypes.js'
 import { getAllAddresses } from '../utils/formatSelector.js'
 import {
@@ -39,9 +54,17 @@ import {
   InfoServerFeesSchema
 } from '../utils/jsonSchemas.js'
 import { logger } from '../utils/logger.js'
+import { parseOpReturn } from '../utils/opReturn.js'
+import {
+  type Psbt,
+  decodePsbt,
+  encodePsbt,
+  extractPsbtTx,
+  finalizePsbt
+} from '../utils/psbt.js'
 import { promiseAny, validateObject } from '../utils/utils.js'
 import { broadcastFactories } from './broadcastApi.js'
-import type { EngineStateCallbacks } from './engineState.js'
+import type { BalanceBreakdown, EngineStateCallbacks } from './engineState.js'
 import { EngineState } from './engineState.js'
 import type { KeyManagerCallbacks } from './keyManager'
 import { KeyManager } from './keyManager'
@@ -64,6 +87,10 @@ export function snooze(ms: number): Promise<void> {
   return new Promise((resolve: any) => setTimeout(resolve, ms))
 }
 
+// Our transaction index sorts by dates in seconds:
+const toSeconds = (date?: Date): number | void =>
+  date ? date.getTime() / MILLI_TO_SEC : undefined
+
 export type EngineCurrencyInfo = {
   // Required Settings
   network: string, // The offical network in lower case - Needs to match the Bitcoin Lib Network Type
@@ -83,18 +110,79 @@ export type EngineCurrencyInfo = {
 
   // Optional Settings
   forks?: Array<string>,
+  antiFeeSniping?: boolean, // Lock new spends to the current height
   earnComFeeInfoServer?: string,
   mempoolSpaceFeeInfoServer?: string,
+  rebroadcastDelay?: number, // Milliseconds before re-sending a missing tx
+  rebroadcastExpiry?: number, // Milliseconds before giving up on a tx
   timestampFromHeader?: (header: Buffer, height: number) => number
 }
 
+// The core's callbacks, plus the ones only some GUIs pass in:
+export type CurrencyEngineCallbacks = EdgeCurrencyEngineCallbacks & {
+  +onBalanceBreakdownChanged?: (
+    currencyCode: string,
+    breakdown: BalanceBreakdown
+  ) => void
+}
+
 export type CurrencyEngineSettings = {
   walletInfo: EdgeWalletInfo,
+  currencyInfo: EdgeCurrencyInfo,
   engineInfo: EngineCurrencyInfo,
   pluginState: PluginState,
   options: EdgeCurrencyEngineOptions,
   io: PluginIo
 }
+export type UtxoListItem = {
+  outpoint: string, // "txid:index"
+  txid: string,
+  index: number,
+  nativeAmount: string,
+  address: string,
+  path: string,
+  confirmations: number,
+  frozen: boolean
+}
+
+// One side of a transaction, as the GUI shows it:
+export type TxInOutDetails = {
+  address: string, // Empty if the script doesn't pay an address
+  nativeAmount?: string, // Missing for inputs we lack the previous tx of
+  isOurs: boolean,
+  isChange: boolean,
+  path?: string, // Derivation path, for our own addresses
+  scriptType: string, // Such as 'p2wpkh', or 'nulldata' for OP_RETURN
+  outpoint?: string // "txid:index", for inputs
+}
+
+export type TxDetails = {
+  inputs: Array<TxInOutDetails>,
+  outputs: Array<TxInOutDetails>,
+  vsize: number,
+  weight: number,
+  feeRate?: number, // sat/vbyte, missing if we lack some inputs
+  rbf: boolean,
+  locktime: number,
+  confirmations: number
+}
+
+export type ExportTransactionsOptions = {
+  format?: ExportFormat,
+  startDate?: Date,
+  endDate?: Date,
+  // The denomination amounts are shown in, like 'mBTC'
+  denomination?: string
+}
+
+export type ConsolidateOptions = {
+  maxInputs?: number,
+  // The highest fee rate to consolidate at, in sat/vbyte
+  maxFeeRate?: number,
+  // UTXOs worth less than this are left alone
+  minValue?: number
+}
+
 /**
  * The core currency plugin.
  * Provides information about the currency,
@@ -104,13 +192,14 @@ export class CurrencyEngine {
   walletInfo: EdgeWalletInfo
   walletId: string
   prunedWalletId: string
+  currencyInfo: EdgeCurrencyInfo
   engineInfo: EngineCurrencyInfo
   currencyCode: string
   network: string
   keyManager: KeyManager
   engineState: EngineState
   pluginState: PluginState
-  callbacks: EdgeCurrencyEngineCallbacks
+  callbacks: CurrencyEngineCallbacks
   walletLocalDisklet: Disklet
   walletLocalEncryptedDisklet: Disklet
   io: PluginIo
@@ -125,6 +214,7 @@ export class CurrencyEngine {
   // ------------------------------------------------------------------------
   constructor({
     walletInfo,
+    currencyInfo,
     engineInfo,
     pluginState,
     options,
@@ -137,11 +227,12 @@ export class CurrencyEngine {
     this.walletId = walletInfo.id || ''
     this.prunedWalletId = this.walletId.slice(0, 6)
     this.pluginState = pluginState
-    this.callbacks = options.callbacks
+    this.callbacks = { ...options.callbacks }
     this.walletLocalDisklet = options.walletLocalDisklet
     this.walletLocalEncryptedDisklet = options.walletLocalEncryptedDisklet
     this.io = io
     this.log = options.log
+    this.currencyInfo = currencyInfo
     this.engineInfo = engineInfo
     this.feeUpdateInterval = this.engineInfo.feeUpdateInterval
     this.currencyCode = this.engineInfo.currencyCode
@@ -160,7 +251,50 @@ export class CurrencyEngine {
         const key = await this.keyManager.getKeyForAddress(address)
         const signature = await signBitcoinMessage(message, key)
         return signature
-      }
+      },
+      verifyMessageBase64: (
+        message: string,
+        address: string,
+        signature: string
+      ): Promise<boolean> =>
+        verifyBitcoinMessage(message, address, signature, this.network),
+      signMessageBip322: (
+        message: string,
+        address: string,
+        format?: Bip322Format
+      ): Promise<string> =>
+        this.keyManager.signMessageBip322(message, address, format),
+      verifyMessageBip322: (
+        message: string,
+        address: string,
+        signature: string
+      ): Promise<boolean> =>
+        verifyBip322Message(message, address, signature, this.network),
+      getDescriptors: (): Promise<Array<string>> =>
+        this.keyManager.getDescriptors(),
+      listUtxos: async (): Promise<Array<UtxoListItem>> => this.listUtxos(),
+      getBalanceBreakdown: async (): Promise<BalanceBreakdown> =>
+        this.engineState.getBalanceBreakdown(),
+      freezeUtxos: (outpoints: Array<string>): Promise<void> =>
+        this.engineState.freezeUtxos(outpoints),
+      unfreezeUtxos: (outpoints: Array<string>): Promise<void> =>
+        this.engineState.unfreezeUtxos(outpoints),
+      bumpFee: (txid: string, newRate: number): Promise<EdgeTransaction> =>
+        this.bumpFee(txid, newRate),
+      cancelTx: (txid: string, newRate: number): Promise<EdgeTransaction> =>
+        this.cancelTx(txid, newRate),
+      accelerateIncoming: (
+        txid: string,
+        targetRate: number
+      ): Promise<EdgeTransaction> => this.accelerateIncoming(txid, targetRate),
+      getMaxSpendable: (edgeSpendInfo: EdgeSpendInfo): Promise<string> =>
+        this.getMaxSpendable(edgeSpendInfo),
+      consolidateUtxos: (
+        options?: ConsolidateOptions
+      ): Promise<EdgeTransaction> => this.consolidateUtxos(options),
+      exportTransactions: async (
+        options?: ExportTransactionsOptions
+      ): Promise<string> => this.exportTransactions(options)
     }
   }
 
@@ -171,11 +305,21 @@ export class CurrencyEngine {
         const edgeTransaction = this.getTransactionSync(txid)
         this.callbacks.onTransactionsChanged([edgeTransaction])
       },
-      onAddressesChecked: this.callbacks.onAddressesChecked
+      onAddressesChecked: this.callbacks.onAddressesChecked,
+      onBalanceBreakdownChanged: (breakdown: BalanceBreakdown) => {
+        const { onBalanceBreakdownChanged } = this.callbacks
+        if (onBalanceBreakdownChanged != null) {
+          onBalanceBreakdownChanged(this.currencyCode, breakdown)
+        }
+      }
     }
 
     this.engineState = new EngineState({
-      files: { txs: 'txs.json', addresses: 'addresses.json' },
+      files: {
+        txs: 'txs.json',
+        addresses: 'addresses.json',
+        frozen: 'frozen.json'
+      },
       callbacks: engineStateCallbacks,
       io: this.io,
       log: this.log,
@@ -209,7 +353,7 @@ export class CurrencyEngine {
     // $FlowFixMe master is missing in object literal
     const { master = {}, ...otherKeys } = cachedRawKeys || {}
     const keys = this.walletInfo.keys || {}
-    const { format, coinType = -1 } = keys
+    const { format, coinType = -1, keyOrigin, multisig } = keys
     const seed = keys[`${this.network}Key`]
     const xpub = keys[`${this.network}Xpub`]
     const rawKeys = { ...otherKeys, master: { xpub, ...master } }
@@ -222,6 +366,8 @@ export class CurrencyEngine {
       seed: seed,
       bip: format,
       coinType: coinType,
+      keyOrigin: keyOrigin,
+      multisig: multisig,
       rawKeys: rawKeys,
       callbacks: callbacks,
       gapLimit: this.engineInfo.gapLimit,
@@ -246,16 +392,8 @@ export class CurrencyEngine {
   }
 
   getTransactionSync(txid: string): EdgeTransaction {
-    const { height = -1, firstSeen = Date.now() / 1000 } =
-      this.engineState.txHeightCache[txid] || {}
-    let date = firstSeen
-    // If confirmed, we will try and take the timestamp as the date
-    if (height && height !== -1) {
-      const blockHeight = this.pluginState.headerCache[`${height}`]
-      if (blockHeight) {
-        date = blockHeight.timestamp
-      }
-    }
+    const { height = -1, conflict } = this.engineState.txHeightCache[txid] || {}
+    const date = this.engineState.getTxDate(txid)
     // Get parsed bcoin tx from engine
     const bcoinTransaction = this.engineState.parsedTxs[txid]
     if (!bcoinTransaction) {
@@ -269,12 +407,20 @@ export class CurrencyEngine {
     )
     const sizes = bcoinTransaction.getSizes()
     const debugInfo = `Inputs: ${bcoinTransaction.inputs.length}\nOutputs: ${bcoinTransaction.outputs.length}\nSize: ${sizes.size}\nWitness: ${sizes.witness}`
+    const otherParams: Object = { debugInfo }
+    const replacedBy = this.engineState.replacedTxs[txid]
+    if (replacedBy) {
+      // This transaction will never confirm, so the GUI shouldn't wait on it:
+      otherParams.replacedBy = replacedBy
+      if (conflict) otherParams.conflict = conflict
+    }
+    const opReturns = getOpReturns(bcoinTransaction)
+    if (opReturns.length) otherParams.opReturns = opReturns
+    Object.assign(otherParams, this.getTxDetails(txid))
     const edgeTransaction: EdgeTransaction = {
       ourReceiveAddresses,
       currencyCode: this.currencyCode,
-      otherParams: {
-        debugInfo
-      },
+      otherParams,
       txid: txid,
       date: date,
       blockHeight: height === -1 ? 0 : height,
@@ -285,6 +431,70 @@ export class CurrencyEngine {
     return edgeTransaction
   }
 
+  /**
+   * Breaks a transaction down for display,
+   * so GUIs don't need to parse `signedTx` themselves.
+   */
+  getTxDetails(txid: string): TxDetails {
+    const { addressInfos, parsedTxs, txHeightCache } = this.engineState
+    const tx = parsedTxs[txid]
+    const { height = -1 } = txHeightCache[txid] || {}
+
+    const describe = (output: Object): TxInOutDetails => {
+      const addressInfo = addressInfos[output.scriptHash]
+      return {
+        address: getDisplayAddress(output, this.network) || '',
+        nativeAmount: `${output.value}`,
+        isOurs: addressInfo != null,
+        isChange: this.keyManager.isChangeAddress(output.scriptHash),
+        path: addressInfo ? addressInfo.path : undefined,
+        scriptType: getOutputScriptType(output)
+      }
+    }
+
+    const inputs = tx.inputs.map(input => {
+      const { prevout } = input
+      const prevTx = parsedTxs[prevout.rhash()]
+      const prevOutput = prevTx ? prevTx.outputs[prevout.index] : undefined
+      const outpoint = `${prevout.rhash()}:${prevout.index}`
+      const scriptType = getInputScriptType(input, prevOutput)
+      if (!prevOutput) {
+        return {
+          address: '',
+          isOurs: false,
+          isChange: false,
+          scriptType,
+          outpoint
+        }
+      }
+      return { ...describe(prevOutput), scriptType, outpoint }
+    })
+    // Only money coming back from our own spends is change:
+    const outgoing = inputs.some(({ isOurs }) => isOurs)
+    const outputs = tx.outputs.map(output => {
+      const details = describe(output)
+      return { ...details, isChange: outgoing && details.isChange }
+    })
+
+    const vsize = tx.getVirtualSize()
+    const fee = this.engineState.getTxFee(txid)
+    return {
+      inputs,
+      outputs,
+      vsize,
+      weight: tx.getWeight(),
+      feeRate: fee >= 0 ? fee / vsize : undefined,
+      rbf: signalsRbf(tx),
+      locktime: tx.locktime,
+      confirmations: this.getConfirmations(height)
+    }
+  }
+
+  getConfirmations(height: number): number {
+    const blockHeight = this.getBlockHeight()
+    return height > 0 && blockHeight >= height ? blockHeight - height + 1 : 0
+  }
+
   async updateFeeFromEdge() {
     try {
       const url = `${InfoServer}/networkFees/${this.currencyCode}`
@@ -393,6 +603,340 @@ export class CurrencyEngine {
     }
   }
 
+  /**
+   * Reads the PSBT from `otherParams`, if there is one.
+   */
+  getPsbt(otherParams: Object): Psbt | null {
+    const { psbt } = otherParams
+    return typeof psbt === 'string' ? decodePsbt(psbt) : null
+  }
+
+  /**
+   * Lists every UTXO we own, frozen or not, for coin control.
+   */
+  listUtxos(): Array<UtxoListItem> {
+    const { addressInfos, txHeightCache } = this.engineState
+    const out = []
+    for (const scriptHash of Object.keys(addressInfos)) {
+      const { displayAddress, path, utxos } = addressInfos[scriptHash]
+      for (const { txid, index, value } of utxos) {
+        const outpoint = `${txid}:${index}`
+        const { height = -1 } = txHeightCache[txid] || {}
+        out.push({
+          outpoint,
+          txid,
+          index,
+          nativeAmount: `${value}`,
+          address: displayAddress,
+          path,
+          confirmations: this.getConfirmations(height),
+          frozen: this.engineState.isFrozen(outpoint)
+        })
+      }
+    }
+    return out
+  }
+
+  /**
+   * Finds one of our unconfirmed transactions, along with the coins it spends
+   * and its fee rate in sat/vbyte, so it can be replaced.
+   */
+  getReplaceableTx(
+    txid: string
+  ): { rawTx: string, utxos: Array<Utxo>, feeRate: number } {
+    const { addressInfos, parsedTxs, txCache, txHeightCache } = this.engineState
+    const tx = parsedTxs[txid]
+    if (!tx) throw new Error('Transaction not found')
+    const { height = -1 } = txHeightCache[txid] || {}
+    if (height > 0) throw new Error('Transaction is already confirmed')
+    const utxos = tx.inputs.map(({ prevout }) => {
+      const prevTxid = prevout.rhash()
+      const prevTx = parsedTxs[prevTxid]
+      const output = prevTx && prevTx.outputs[prevout.index]
+      if (!output || !addressInfos[output.scriptHash]) {
+        throw new Error(
+          'Only transactions spending our own coins can be replaced'
+        )
+      }
+      const { height = -1 } = txHeightCache[prevTxid] || {}
+      return { tx: prevTx, index: prevout.index, height }
+    })
+    const { fee } = sumTransaction(tx, this.network, this.engineState)
+    return { rawTx: txCache[txid], utxos, feeRate: fee / tx.getVirtualSize() }
+  }
+
+  /**
+   * Rebuilds an unconfirmed RBF transaction to pay `newRate` sat/vbyte,
+   * returning the unsigned replacement.
+   */
+  bumpFee(txid: string, newRate: number): Promise<EdgeTransaction> {
+    return this.replaceTx(txid, newRate, false)
+  }
+
+  /**
+   * Double-spends an unconfirmed RBF transaction back to a fresh change
+   * address at `newRate` sat/vbyte, returning the unsigned replacement.
+   */
+  cancelTx(txid: string, newRate: number): Promise<EdgeTransaction> {
+    return this.replaceTx(txid, newRate, true)
+  }
+
+  async replaceTx(
+    txid: string,
+    newRate: number,
+    cancel: boolean
+  ): Promise<EdgeTransaction> {
+    const { rawTx, utxos, feeRate } = this.getReplaceableTx(txid)
+    if (!(newRate > feeRate)) {
+      throw new Error(`The new fee rate must be above ${feeRate} sat/vbyte`)
+    }
+    // Bumping keeps the old change address, cancelling uses a fresh one
+    const changeAddress = cancel
+      ? this.keyManager.getChangeAddress()
+      : this.keyManager.findChangeAddress(this.engineState.parsedTxs[txid])
+    const rate = Math.ceil(newRate * BYTES_TO_KB)
+    try {
+      const bcoinTx = await this.keyManager.createTX({
+        utxos: [...utxos, ...this.engineState.getUTXOs()],
+        rate,
+        changeAddress,
+        txOptions: { RBFraw: rawTx, RBFcancel: cancel },
+        height: this.getBlockHeight()
+      })
+      return this.makeEdgeTransaction(bcoinTx, rate, { replacedTxid: txid })
+    } catch (e) {
+      if (e.type === 'FundingError')
+        throw new InsufficientFundsError(this.currencyCode)
+      throw e
+    }
+  }
+
+  /**
+   * Pays for an unconfirmed incoming transaction with a child transaction,
+   * so the two together reach `targetRate` sat/vbyte.
+   */
+  async accelerateIncoming(
+    txid: string,
+    targetRate: number
+  ): Promise<EdgeTransaction> {
+    const { parsedTxs, txHeightCache } = this.engineState
+    const parent = parsedTxs[txid]
+    if (!parent) throw new Error('Parent transaction unavailable')
+    const { height = -1 } = txHeightCache[txid] || {}
+    if (height > 0) throw new Error('Transaction is already confirmed')
+    const utxos = this.engineState.getUTXOs()
+    if (!utxos.some(({ tx }) => tx.txid() === txid)) {
+      throw new Error('Transaction has no unspent outputs of ours')
+    }
+
+    const parentFee = await this.engineState.fetchTxFee(txid)
+    const parentSize = parent.getVirtualSize()
+    if (parentFee >= targetRate * parentSize) {
+      throw new Error('Transaction already pays the target fee rate')
+    }
+    const createChild = (rate: number) =>
+      this.keyManager.createTX({
+        utxos,
+        rate,
+        txOptions: { CPFP: txid },
+        height: this.getBlockHeight()
+      })
+    try {
+      // The child has a single output, so its size doesn't depend on the rate
+      const estimate = await createChild(Math.ceil(targetRate * BYTES_TO_KB))
+      const childSize = this.keyManager.estimateSize(estimate)
+      const childFee = targetRate * (parentSize + childSize) - parentFee
+      const rate = Math.ceil((childFee * BYTES_TO_KB) / childSize)
+      const bcoinTx = await createChild(rate)
+      return this.makeEdgeTransaction(bcoinTx, rate, { parentTxid: txid })
+    } catch (e) {
+      if (e.type === 'FundingError')
+        throw new InsufficientFundsError(this.currencyCode)
+      throw e
+    }
+  }
+
+  /**
+   * Merges our smallest UTXOs into one output at a fresh receive address,
+   * paying the current low fee. The unsigned transaction's `otherParams`
+   * report how many inputs it merges and what that should save
+   * over spending them later at the standard fee.
+   */
+  async consolidateUtxos({
+    maxInputs = 100,
+    maxFeeRate,
+    minValue = 0
+  }: ConsolidateOptions = {}): Promise<EdgeTransaction> {
+    const lowFee = parseFloat(this.fees.lowFee)
+    if (maxFeeRate != null && lowFee > maxFeeRate) {
+      throw new Error(
+        `The low fee of ${lowFee} sat/vbyte is above the ${maxFeeRate} sat/vbyte limit`
+      )
+    }
+    const rate = Math.ceil(lowFee * BYTES_TO_KB)
+    // Only merge coins that are worth more than the fee to spend them
+    const utxos = this.keyManager
+      .spendableUtxos(this.engineState.getUTXOs(), this.getBlockHeight())
+      .filter(utxo => {
+        const value = sumUtxos([utxo])
+        const fee = (rate * this.keyManager.inputSize(utxo)) / BYTES_TO_KB
+        return value >= minValue && value > fee
+      })
+      .sort((a, b) => sumUtxos([a]) - sumUtxos([b]))
+      .slice(0, maxInputs)
+    if (utxos.length < 2) throw new Error('Not enough UTXOs to consolidate')
+
+    try {
+      const bcoinTx = await this.keyManager.createTX({
+        outputs: [
+          {
+            address: this.keyManager.getReceiveAddress(),
+            value: sumUtxos(utxos)
+          }
+        ],
+        utxos,
+        rate,
+        txOptions: { subtractFee: true },
+        height: this.getBlockHeight()
+      })
+      // Later on, the merged output only costs one input to spend
+      const inputsSize = utxos.reduce(
+        (sum, utxo) => sum + this.keyManager.inputSize(utxo),
+        0
+      )
+      const savedSize = inputsSize - this.keyManager.inputSize(utxos[0])
+      const standardFee = parseFloat(this.fees.standardFeeHigh)
+      const projectedSavings = Math.floor(
+        savedSize * standardFee - bcoinTx.getFee()
+      )
+      return this.makeEdgeTransaction(bcoinTx, rate, {
+        consolidation: {
+          inputCount: utxos.length,
+          projectedSavings: `${projectedSavings}`
+        }
+      })
+    } catch (e) {
+      if (e.type === 'FundingError')
+        throw new InsufficientFundsError(this.currencyCode)
+      throw e
+    }
+  }
+
+  /**
+   * Exports our history from `startDate` up to `endDate`, oldest first,
+   * as csv for spreadsheets or as ofx/qbo for accounting software.
+   * Replaced transactions never happened, so they are left out.
+   */
+  exportTransactions({
+    format = 'csv',
+    startDate,
+    endDate,
+    denomination = this.currencyCode
+  }: ExportTransactionsOptions = {}): string {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown export format ${format}`)
+    }
+    const { multiplier } =
+      this.currencyInfo.denominations.find(
+        ({ name }) => name === denomination
+      ) || {}
+    if (!multiplier) throw new Error(`Unknown denomination ${denomination}`)
+
+    const { replacedTxs } = this.engineState
+    const start = toSeconds(startDate)
+    const listTxids = (from?: number, to?: number) =>
+      this.engineState
+        .getSortedTxids(from, to)
+        .filter(txid => !replacedTxs[txid])
+        .reverse()
+    const rows = listTxids(start, toSeconds(endDate)).map(txid => {
+      const {
+        date,
+        blockHeight,
+        nativeAmount,
+        networkFee
+      } = this.getTransactionSync(txid)
+      return {
+        txid,
+        date,
+        nativeAmount,
+        networkFee,
+        blockHeight,
+        confirmations: this.getConfirmations(blockHeight),
+        counterparties: this.getCounterparties(txid, nativeAmount)
+      }
+    })
+
+    // The closing balance counts everything before the export too
+    const earlier = start == null ? [] : listTxids(undefined, start)
+    const balance = [
+      ...earlier.map(txid => this.getTransactionSync(txid).nativeAmount),
+      ...rows.map(({ nativeAmount }) => nativeAmount)
+    ].reduce((sum, nativeAmount) => bns.add(sum, nativeAmount), '0')
+
+    return exportTransactions(rows, format, {
+      currencyCode: this.currencyCode,
+      multiplier,
+      accountId: this.prunedWalletId,
+      balance
+    })
+  }
+
+  // The addresses we paid, or the ones that paid us
+  // when we have the transactions they spent
+  getCounterparties(txid: string, nativeAmount: string): Array<string> {
+    const { parsedTxs, scriptHashes } = this.engineState
+    const bcoinTx = parsedTxs[txid]
+    const outputs = bns.lt(nativeAmount, '0')
+      ? bcoinTx.outputs
+      : bcoinTx.inputs.map(({ prevout }) => {
+          const prevTx = parsedTxs[prevout.rhash()]
+          return prevTx && prevTx.outputs[prevout.index]
+        })
+    const addresses = []
+    for (const output of outputs) {
+      const address = output && getDisplayAddress(output, this.network)
+      if (address && !scriptHashes[address] && !addresses.includes(address)) {
+        addresses.push(address)
+      }
+    }
+    return addresses
+  }
+
+  async makeEdgeTransaction(
+    bcoinTx: Object,
+    rate: number,
+    extraParams: Object
+  ): Promise<EdgeTransaction> {
+    const { fee, nativeAmount, ourReceiveAddresses } = sumTransaction(
+      bcoinTx,
+      this.network,
+      this.engineState
+    )
+    const otherParams: Object = {
+      txJson: bcoinTx.getJSON(this.network),
+      rate,
+      ...extraParams
+    }
+    if (this.keyManager.multisig) {
+      otherParams.psbt = encodePsbt(await this.keyManager.createPsbt(bcoinTx))
+    }
+    return {
+      ourReceiveAddresses,
+      otherParams,
+      currencyCode: this.currencyCode,
+      txid: '',
+      date: 0,
+      blockHeight: 0,
+      nativeAmount: `${nativeAmount}`,
+      networkFee: `${fee}`,
+      feeRateUsed: {
+        satPerVByte: rate / 1000
+      },
+      signedTx: ''
+    }
+  }
+
   logEdgeTransaction(edgeTransaction: EdgeTransaction, action: string) {
     let log = `------------------ ${action} Transaction ------------------\n`
     log += `Transaction id: ${edgeTransaction.txid}\n`
@@ -415,6 +959,9 @@ export class CurrencyEngine {
 
   async startEngine(): Promise<void> {
     this.callbacks.onBalanceChanged(this.currencyCode, this.getBalance())
+    // Report the breakdown once, even if it hasn't moved since loading:
+    this.engineState.balanceBreakdown = undefined
+    this.engineState.refreshBalanceBreakdown()
     this.updateFeeFromEdge().then(() => this.updateFeeFromVendor())
     return this.engineState.connect()
   }
@@ -450,8 +997,14 @@ export class CurrencyEngine {
     return false
   }
 
+  /**
+   * Returns the total balance, or one bucket of the breakdown
+   * when `options.balanceType` asks for it.
+   * Merchants should only trust the confirmed bucket.
+   */
   getBalance(options: any): string {
-    return this.engineState.getBalance()
+    const { balanceType } = options || {}
+    return this.engineState.getBalance({ balanceType })
   }
 
   getNumTransactions(options: any): number {
@@ -459,22 +1012,40 @@ export class CurrencyEngine {
   }
 
   async getTransactions(
-    options: EdgeGetTransactionsOptions
+    options: EdgeGetTransactionsOptions = {}
   ): Promise<Array<EdgeTransaction>> {
-    const rawTxs = this.engineState.txCache
-    const edgeTransactions = []
-    for (const txid in rawTxs) {
-      const edgeTransaction = await this.getTransaction(txid)
-      edgeTransactions.push(edgeTransaction)
+    const {
+      startIndex = 0,
+      startEntries,
+      startDate,
+      endDate,
+      searchString
+    } = options
+    let txids = this.engineState.getSortedTxids(
+      toSeconds(startDate),
+      toSeconds(endDate)
+    )
+    if (searchString) {
+      const search = searchString.toLowerCase()
+      txids = txids.filter(txid => this.matchesSearch(txid, search))
     }
+    const endIndex = startEntries ? startIndex + startEntries : txids.length
+    return txids
+      .slice(startIndex, endIndex)
+      .map(txid => this.getTransactionSync(txid))
+  }
 
-    const startIndex = (options && options.startIndex) || 0
-    let endIndex =
-      (options && options.startEntries + startIndex) || edgeTransactions.length
-    if (startIndex + endIndex > edgeTransactions.length) {
-      endIndex = edgeTransactions.length
+  // Checks a lowercase search against a txid or the addresses it pays
+  matchesSearch(txid: string, search: string): boolean {
+    if (txid.includes(search)) return true
+    const bcoinTx = this.engineState.parsedTxs[txid]
+    try {
+      return getReceiveAddresses(bcoinTx, this.network).some(address =>
+        address.toLowerCase().includes(search)
+      )
+    } catch (e) {
+      return false
     }
-    return edgeTransactions.slice(startIndex, endIndex)
   }
 
   getFreshAddress(options: any): EdgeFreshAddress {
@@ -543,7 +1114,7 @@ export class CurrencyEngine {
     }
 
     const engineState = new EngineState({
-      files: { txs: '', addresses: '' },
+      files: { txs: '', addresses: '', frozen: '' },
       callbacks: engineStateCallbacks,
       io: this.io,
       localDisklet: this.walletLocalDisklet,
@@ -581,6 +1152,112 @@ export class CurrencyEngine {
     }
   }
 
+  // Turns spend targets into the outputs and data that `createTX` takes
+  makeOutputs(
+    spendTargets: Array<EdgeSpendTarget>
+  ): { outputs: Array<Output>, opReturns: Array<string> } {
+    const outputs = []
+    const opReturns = []
+    for (const spendTarget of spendTargets) {
+      const {
+        publicAddress: address,
+        nativeAmount,
+        otherParams: { script, opReturn } = {}
+      } = spendTarget
+      const value = parseInt(nativeAmount || '0')
+      if (address && nativeAmount) outputs.push({ address, value })
+      else if (script) outputs.push({ script, value })
+      if (opReturn) opReturns.push(parseOpReturn(opReturn).toString('hex'))
+    }
+    return { outputs, opReturns }
+  }
+
+  /**
+   * Finds the most the last spend target can receive once the other
+   * targets and the network fee are paid, which is what it gets when
+   * `makeSpend` uses `subtractFee` on our whole balance.
+   * Coins worth less than the fee it takes to spend them are left out.
+   */
+  async getMaxSpendable(edgeSpendInfo: EdgeSpendInfo): Promise<string> {
+    const { spendTargets = [] } = edgeSpendInfo
+    const maxTarget = spendTargets[spendTargets.length - 1]
+    if (!maxTarget || !maxTarget.publicAddress) {
+      throw new Error('Need to provide Spend Targets')
+    }
+    const maxScript = addressToOutputScript(
+      maxTarget.publicAddress,
+      this.network
+    ).toRaw()
+    const otherTargets = spendTargets.slice(0, -1)
+    const otherAmount = otherTargets.reduce(
+      (sum, { nativeAmount }) => sum + parseInt(nativeAmount || '0'),
+      0
+    )
+    const { utxos: outpoints } = edgeSpendInfo.otherParams || {}
+    const allUtxos = this.keyManager.spendableUtxos(
+      this.engineState.getUTXOs(outpoints),
+      this.getBlockHeight()
+    )
+    const withAmount = (nativeAmount: number): EdgeSpendInfo => ({
+      ...edgeSpendInfo,
+      spendTargets: [
+        ...otherTargets,
+        { ...maxTarget, nativeAmount: `${nativeAmount}` }
+      ]
+    })
+
+    // The most we can send when paying `rate`, or 0 if it's nothing
+    const maxAtRate = async (rate: number): Promise<number> => {
+      const utxos = allUtxos.filter(
+        utxo =>
+          sumUtxos([utxo]) * BYTES_TO_KB >
+          rate * this.keyManager.inputSize(utxo)
+      )
+      const remaining = sumUtxos(utxos) - otherAmount
+      if (remaining <= 0) return 0
+      const { outputs, opReturns } = this.makeOutputs(
+        withAmount(remaining).spendTargets
+      )
+      try {
+        const bcoinTx = await this.keyManager.createTX({
+          outputs,
+          opReturns,
+          utxos,
+          rate,
+          txOptions: { subtractFee: true },
+          height: this.getBlockHeight()
+        })
+        // bcoin takes the fee from another output when ours is too small
+        const output = bcoinTx.outputs.find(({ script }) =>
+          script.toRaw().equals(maxScript)
+        )
+        if (!output) return 0
+        return output.value <= remaining ? output.value : 0
+      } catch (e) {
+        if (e.type === 'FundingError') return 0
+        if (e.message === 'Could not subtract fee.') return 0
+        throw e
+      }
+    }
+
+    // The fee rate can depend on the amount, so keep going until it settles,
+    // never returning an amount that can't pay for its own rate
+    const total = sumUtxos(allUtxos) - otherAmount
+    if (total <= 0) return '0'
+    let max = 0
+    let rate = this.getRate(withAmount(total))
+    for (let i = 0; i < 5; i++) {
+      const amount = await maxAtRate(rate)
+      if (amount <= 0) break
+      const amountRate = this.getRate(withAmount(amount))
+      if (amountRate > rate) break
+      max = amount
+      if (amountRate === rate) break
+      rate = amountRate
+    }
+    return `${max}`
+  }
+
   async makeSpend(
     edgeSpendInfo: EdgeSpendInfo,
     txOptions?: TxOptions = {}
@@ -595,8 +1272,10 @@ export class CurrencyEngine {
       (sum, { nativeAmount }) => bns.add(sum, nativeAmount || '0'),
       '0'
     )
-    // Try and get UTXOs from `txOptions`, if unsuccessful use our own utxo's
-    const { utxos = this.engineState.getUTXOs() } = txOptions
+    // Try and get UTXOs from `txOptions`, then from the user's coin control
+    // outpoints, and if unsuccessful use all of our unfrozen utxo's
+    const { utxos: outpoints } = edgeSpendInfo.otherParams || {}
+    const { utxos = this.engineState.getUTXOs(outpoints) } = txOptions
     // Test if we have enough to spend
     if (bns.gt(totalAmountToSend, `${sumUtxos(utxos)}`)) {
       throw new InsufficientFundsError(this.currencyCode)
@@ -606,24 +1285,17 @@ export class CurrencyEngine {
       const rate = this.getRate(edgeSpendInfo)
       logger.info(`spend: Using fee rate ${rate} sat/K`)
       // Create outputs from spendTargets
-
-      const outputs = []
-      for (const spendTarget of spendTargets) {
-        const {
-          publicAddress: address,
-          nativeAmount,
-          otherParams: { script } = {}
-        } = spendTarget
-        const value = parseInt(nativeAmount || '0')
-        if (address && nativeAmount) outputs.push({ address, value })
-        else if (script) outputs.push({ script, value })
-      }
+      const { outputs, opReturns } = this.makeOutputs(spendTargets)
 
       const bcoinTx = await this.keyManager.createTX({
         outputs,
+        opReturns,
         utxos,
         rate,
-        txOptions,
+        txOptions: {
+          antiFeeSniping: this.engineInfo.antiFeeSniping,
+          ...txOptions
+        },
         height: this.getBlockHeight()
       })
 
@@ -632,7 +1304,7 @@ export class CurrencyEngine {
         (s, { publicAddress, nativeAmount }: EdgeSpendTarget) =>
           publicAddress && scriptHashes[publicAddress]
             ? s
-            : s - parseInt(nativeAmount),
+            : s - parseInt(nativeAmount || '0'),
         0
       )
 
@@ -642,13 +1314,21 @@ export class CurrencyEngine {
         address => scriptHashes[address]
       )
 
+      const otherParams: Object = {
+        txJson: bcoinTx.getJSON(this.network),
+        edgeSpendInfo,
+        rate
+      }
+      if (opReturns.length) otherParams.opReturns = getOpReturns(bcoinTx)
+      const { createPsbt = false } = edgeSpendInfo.otherParams || {}
+      // Multisig spends always travel between cosigners as PSBTs
+      if (createPsbt || this.keyManager.multisig) {
+        otherParams.psbt = encodePsbt(await this.keyManager.createPsbt(bcoinTx))
+      }
+
       const edgeTransaction: EdgeTransaction = {
         ourReceiveAddresses,
-        otherParams: {
-          txJson: bcoinTx.getJSON(this.network),
-          edgeSpendInfo,
-          rate
-        },
+        otherParams,
         currencyCode: this.currencyCode,
         txid: '',
         date: 0,
@@ -671,11 +1351,24 @@ export class CurrencyEngine {
   async signTx(edgeTransaction: EdgeTransaction): Promise<EdgeTransaction> {
     if (edgeTransaction.otherParams == null) edgeTransaction.otherParams = {}
     const { otherParams } = edgeTransaction
-    const { edgeSpendInfo, txJson } = otherParams
+    const { edgeSpendInfo = {}, txJson } = otherParams
     this.logEdgeTransaction(edgeTransaction, 'Signing')
-    const bcoinTx = parseJsonTransaction(txJson)
     const { privateKeys = [] } = edgeSpendInfo
-    const { signedTx, txid } = await this.keyManager.sign(bcoinTx, privateKeys)
+    let signedTx, txid
+    const psbt = this.getPsbt(otherParams)
+    if (psbt) {
+      const result = await this.keyManager.signPsbt(psbt, privateKeys)
+      otherParams.psbt = encodePsbt(result.psbt)
+      // Other signers still need to add their signatures:
+      if (!result.signedTx) return edgeTransaction
+      signedTx = result.signedTx
+      txid = result.txid
+    } else {
+      const bcoinTx = parseJsonTransaction(txJson)
+      const result = await this.keyManager.sign(bcoinTx, privateKeys)
+      signedTx = result.signedTx
+      txid = result.txid
+    }
 
     const { paymentProtocolInfo } = edgeSpendInfo.otherParams || {}
     if (paymentProtocolInfo) {
@@ -703,9 +1396,18 @@ export class CurrencyEngine {
     edgeTransaction: EdgeTransaction
   ): Promise<EdgeTransaction> {
     if (edgeTransaction.otherParams == null) edgeTransaction.otherParams = {}
-    const { otherParams, signedTx, currencyCode } = edgeTransaction
+    const { otherParams, currencyCode } = edgeTransaction
     const { paymentProtocolInfo } = otherParams
 
+    // Finalize PSBTs that were signed elsewhere:
+    if (!edgeTransaction.signedTx) {
+      const psbt = this.getPsbt(otherParams)
+      if (!psbt) throw new Error('Missing signed transaction')
+      edgeTransaction.signedTx = extractPsbtTx(finalizePsbt(psbt, this.network))
+      edgeTransaction.txid = getTxid(edgeTransaction.signedTx, this.network)
+    }
+    const { signedTx } = edgeTransaction
+
     if (paymentProtocolInfo && paymentProtocolInfo.payment) {
       const paymentAck = await sendPayment(
         this.io.fetch,
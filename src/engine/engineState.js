@@ -32,6 +32,13 @@ import {
   bitcoinTimestampFromHeader,
   parseTransaction
 } from '../utils/coinUtils.js'
+import {
+  type TxSortKey,
+  compareTxs,
+  findOlderTx,
+  insertTx,
+  removeTx
+} from '../utils/txIndex.js'
 import { pushUpdate, removeIdFromQueue } from '../utils/updateQueue.js'
 import { type EngineCurrencyInfo } from './currencyEngine.js'
 
@@ -55,6 +62,36 @@ export type AddressInfos = {
   [scriptHash: string]: AddressInfo
 }
 
+// How an unconfirmed transaction lost its inputs to another transaction:
+// - replaced: a higher-fee replacement (BIP125) took its place
+// - conflicted: a confirmed transaction, or the loss of a parent,
+//   means it can never confirm
+export type TxConflict = 'replaced' | 'conflicted'
+
+export type BalanceType =
+  | 'total'
+  | 'confirmed'
+  | 'unconfirmedIncoming'
+  | 'unconfirmedChange'
+  | 'immature'
+  | 'frozen'
+
+// Each UTXO counts towards exactly one bucket, so they add up to the total:
+export type BalanceBreakdown = {
+  total: string,
+  confirmed: string,
+  unconfirmedIncoming: string, // Paid to us by others
+  unconfirmedChange: string, // Coming back from our own spends
+  immature: string, // Coinbase outputs too young to spend
+  frozen: string
+}
+
+export type RebroadcastInfo = {
+  attempts: number,
+  nextAttempt: number, // Timestamp in milliseconds
+  expires: number // Timestamp in milliseconds
+}
+
 export type AddressState = {
   subscribed: boolean,
   synced: boolean,
@@ -74,6 +111,9 @@ export interface EngineStateCallbacks {
   // Changes to an address UTXO set:
   +onBalanceChanged?: () => void;
 
+  // Changes to any bucket in the balance breakdown:
+  +onBalanceBreakdownChanged?: (breakdown: BalanceBreakdown) => void;
+
   // Changes to an address 'use' state:
   +onAddressUsed?: () => void;
 
@@ -88,7 +128,7 @@ export interface EngineStateCallbacks {
 }
 
 export interface EngineStateOptions {
-  files: { txs: string, addresses: string };
+  files: { txs: string, addresses: string, frozen: string };
   callbacks: EngineStateCallbacks;
   io: PluginIo;
   log: EdgeLog;
@@ -104,6 +144,11 @@ function nop() {}
 const MAX_CONNECTIONS = 2
 const NEW_CONNECTIONS = 8
 const CACHE_THROTTLE = 0.25
+const COINBASE_MATURITY = 100
+const REBROADCAST_DELAY = 5 * 60 * 1000
+const REBROADCAST_EXPIRY = 3 * 24 * 60 * 60 * 1000
+// Timestamps above this are in milliseconds, since it is far in the future:
+const MAX_SECONDS = 1e11
 
 /**
  * This object holds the current state of the wallet engine.
@@ -143,13 +188,33 @@ export class EngineState extends EventEmitter {
   txHeightCache: {
     [txid: string]: {
       height: number,
-      firstSeen: number // Timestamp for unconfirmed stuff
+      firstSeen: number, // Timestamp for unconfirmed stuff
+      conflict?: TxConflict // Set once another transaction beats this one
     }
   }
 
   // Cache of parsed transaction data:
   parsedTxs: { [txid: string]: any }
 
+  // Parsed transactions from newest to oldest, and the keys they sort by:
+  txIndex: Array<TxSortKey>
+  txIndexKeys: { [txid: string]: TxSortKey }
+
+  // The transactions spending each outpoint ("txid:index"):
+  spendingTxids: { [outpoint: string]: Array<string> }
+
+  // Unconfirmed transactions that a conflicting transaction replaced:
+  replacedTxs: { [txid: string]: string }
+
+  // Outpoints ("txid:index") the user doesn't want to spend:
+  frozenUtxos: { [outpoint: string]: true }
+
+  // The breakdown we last told the engine about:
+  balanceBreakdown: BalanceBreakdown | void
+
+  // Our own transactions that no server has shown us yet:
+  rebroadcasts: { [txid: string]: RebroadcastInfo }
+
   // True if `startEngine` has been called:
   engineStarted: boolean
 
@@ -310,19 +375,145 @@ export class EngineState extends EventEmitter {
     this.handleTxFetch(txid, rawTx)
 
     // Update the affected addresses:
-    for (const scriptHash of this.findAffectedAddresses(txid)) {
+    const scriptHashes = this.findAffectedAddresses(txid)
+    const seen = scriptHashes.some(scriptHash =>
+      this.addressCache[scriptHash].txids.includes(txid)
+    )
+    for (const scriptHash of scriptHashes) {
       this.addressCache[scriptHash].txids.push(txid)
       this.refreshAddressInfo(scriptHash)
     }
+    if (!seen) this.scheduleRebroadcast(txid)
     this.dirtyAddressCache()
   }
 
+  /**
+   * Keeps re-sending one of our transactions,
+   * in case the servers drop it before it shows up in our history.
+   */
+  scheduleRebroadcast(txid: string) {
+    const {
+      rebroadcastDelay = REBROADCAST_DELAY,
+      rebroadcastExpiry = REBROADCAST_EXPIRY
+    } = this.engineInfo
+    const now = Date.now()
+    this.rebroadcasts[txid] = {
+      attempts: 0,
+      nextAttempt: now + rebroadcastDelay,
+      expires: now + rebroadcastExpiry
+    }
+    this.setRebroadcastTimer()
+  }
+
+  setRebroadcastTimer() {
+    clearTimeout(this.rebroadcastTimer)
+    if (!this.engineStarted) return
+    const times = Object.keys(this.rebroadcasts).map(txid => {
+      const { nextAttempt, expires } = this.rebroadcasts[txid]
+      return Math.min(nextAttempt, expires)
+    })
+    if (!times.length) return
+    // Timers overflow past 24 days, so wake up at least daily:
+    const delay = Math.min(Math.min(...times) - Date.now(), 86400000)
+    this.rebroadcastTimer = setTimeout(
+      () => this.rebroadcast(),
+      Math.max(delay, 0)
+    )
+  }
+
+  /**
+   * Re-sends the transactions that are due, backing off exponentially,
+   * and forgets the ones that expired or can no longer confirm.
+   */
+  rebroadcast() {
+    const { rebroadcastDelay = REBROADCAST_DELAY } = this.engineInfo
+    const now = Date.now()
+    const connected = Object.keys(this.connections).some(
+      uri => this.connections[uri].connected
+    )
+    for (const txid of Object.keys(this.rebroadcasts)) {
+      const info = this.rebroadcasts[txid]
+      const { height = -1 } = this.txHeightCache[txid] || {}
+      if (
+        now >= info.expires ||
+        height > 0 ||
+        this.replacedTxs[txid] ||
+        !this.txCache[txid]
+      ) {
+        delete this.rebroadcasts[txid]
+        this.dirtyAddressCache()
+        continue
+      }
+      if (now < info.nextAttempt) continue
+
+      // Going offline shouldn't use up the backoff:
+      if (!connected) {
+        info.nextAttempt = now + rebroadcastDelay
+        continue
+      }
+      info.attempts++
+      info.nextAttempt = now + rebroadcastDelay * Math.pow(2, info.attempts)
+      this.dirtyAddressCache()
+      this.log(`Rebroadcasting ${txid}, attempt ${info.attempts}`)
+      this.broadcastTx(this.txCache[txid]).catch(e =>
+        this.log(`Failed to rebroadcast ${txid}: ${e}`)
+      )
+    }
+    this.setRebroadcastTimer()
+  }
+
+  /**
+   * Fetches a transaction that isn't part of our history,
+   * such as an input of an incoming payment.
+   */
+  fetchRawTx(txid: string): Promise<string> {
+    return new Promise((resolve, reject) => {
+      const uris = Object.keys(this.connections).filter(
+        uri => this.connections[uri].connected
+      )
+      if (!uris.length) {
+        return reject(
+          new Error('No available connections\nCheck your internet signal')
+        )
+      }
+      let bad = 0
+      const task = fetchTransaction(
+        txid,
+        (txData: string) => {
+          // Don't trust a server that sends back the wrong transaction:
+          if (parseTransaction(txData).txid() === txid) resolve(txData)
+          else if (++bad === uris.length) reject(new Error('Bad transaction'))
+        },
+        (e?: Error) => {
+          if (++bad === uris.length) reject(e)
+        }
+      )
+      for (const uri of uris) {
+        this.connections[uri].submitTask(task)
+      }
+    })
+  }
+
+  /**
+   * Finds the fee a transaction pays, fetching any inputs we don't have.
+   */
+  async fetchTxFee(txid: string): Promise<number> {
+    const prevTxs = {}
+    for (const { prevout } of this.parsedTxs[txid].inputs) {
+      const hash = prevout.rhash()
+      if (this.parsedTxs[hash] || prevTxs[hash]) continue
+      prevTxs[hash] = parseTransaction(await this.fetchRawTx(hash))
+    }
+    return this.getTxFee(txid, prevTxs)
+  }
+
   connect() {
     this.progressRatio = 0
     this.txCacheInitSize = Object.keys(this.txCache).length
     this.engineStarted = true
     this.pluginState.addEngine(this)
     this.refillServers()
+    this.setRebroadcastTimer()
   }
 
   async disconnect() {
@@ -331,6 +522,7 @@ export class EngineState extends EventEmitter {
     this.engineStarted = false
     this.progressRatio = 0
     clearTimeout(this.reconnectTimer)
+    clearTimeout(this.rebroadcastTimer)
     const closed = []
     for (const uri of Object.keys(this.connections)) {
       closed.push(
@@ -345,7 +537,15 @@ export class EngineState extends EventEmitter {
     await Promise.all(closed)
   }
 
-  getBalance(options: any): string {
+  getBalance(options: { balanceType?: BalanceType } = {}): string {
+    const { balanceType = 'total' } = options
+    if (balanceType !== 'total') {
+      const breakdown = this.getBalanceBreakdown()
+      if (breakdown[balanceType] == null) {
+        throw new Error(`Unknown balance type ${balanceType}`)
+      }
+      return breakdown[balanceType]
+    }
     return Object.keys(this.addressInfos)
       .reduce((total, scriptHash) => {
         const { balance } = this.addressInfos[scriptHash]
@@ -354,13 +554,95 @@ export class EngineState extends EventEmitter {
       .toString()
   }
 
-  getUTXOs() {
+  /**
+   * Splits the balance by how safe it is to rely on.
+   * Only the confirmed bucket is final.
+   */
+  getBalanceBreakdown(): BalanceBreakdown {
+    const sums: { [type: BalanceType]: number } = {
+      confirmed: 0,
+      unconfirmedIncoming: 0,
+      unconfirmedChange: 0,
+      immature: 0,
+      frozen: 0
+    }
+    let total = 0
+    for (const scriptHash in this.addressInfos) {
+      for (const utxo of this.addressInfos[scriptHash].utxos) {
+        sums[this.getUtxoBalanceType(utxo)] += utxo.value
+        total += utxo.value
+      }
+    }
+    return {
+      total: total.toString(),
+      confirmed: sums.confirmed.toString(),
+      unconfirmedIncoming: sums.unconfirmedIncoming.toString(),
+      unconfirmedChange: sums.unconfirmedChange.toString(),
+      immature: sums.immature.toString(),
+      frozen: sums.frozen.toString()
+    }
+  }
+
+  // Picks the one bucket a UTXO counts towards:
+  getUtxoBalanceType({ txid, index }: UtxoInfo): BalanceType {
+    if (this.isFrozen(`${txid}:${index}`)) return 'frozen'
+    const { height = -1 } = this.txHeightCache[txid] || {}
+    const tx = this.parsedTxs[txid]
+    if (height <= 0) {
+      // Outputs of a transaction we funded are our change:
+      const ours =
+        tx != null &&
+        tx.inputs.some(({ prevout }) => {
+          const prevTx = this.parsedTxs[prevout.rhash()]
+          if (prevTx == null) return false
+          const output = prevTx.outputs[prevout.index]
+          return output != null && this.addressCache[output.scriptHash] != null
+        })
+      return ours ? 'unconfirmedChange' : 'unconfirmedIncoming'
+    }
+    if (
+      tx != null &&
+      tx.isCoinbase() &&
+      this.pluginState.height - height + 1 < COINBASE_MATURITY
+    ) {
+      return 'immature'
+    }
+    return 'confirmed'
+  }
+
+  /**
+   * Tells the engine if any bucket of the balance breakdown has moved.
+   */
+  refreshBalanceBreakdown() {
+    const breakdown = this.getBalanceBreakdown()
+    const prev = this.balanceBreakdown
+    if (
+      prev != null &&
+      Object.keys(breakdown).every(type => breakdown[type] === prev[type])
+    ) {
+      return
+    }
+    this.balanceBreakdown = breakdown
+    this.onBalanceBreakdownChanged(breakdown)
+  }
+
+  /**
+   * Returns our spendable UTXOs, leaving out any frozen ones.
+   * If a list of outpoints is given, returns exactly those UTXOs instead.
+   */
+  getUTXOs(outpoints?: Array<string>) {
     const utxos: any = []
+    const found = {}
     for (const scriptHash in this.addressInfos) {
       const utxoLength = this.addressInfos[scriptHash].utxos.length
       for (let i = 0; i < utxoLength; i++) {
         const utxo = this.addressInfos[scriptHash].utxos[i]
         const { txid, index } = utxo
+        const outpoint = `${txid}:${index}`
+        const skip = outpoints
+          ? !outpoints.includes(outpoint)
+          : this.isFrozen(outpoint)
+        if (skip) continue
         let height = -1
         if (this.txHeightCache[txid]) {
           height = this.txHeightCache[txid].height
@@ -368,15 +650,104 @@ export class EngineState extends EventEmitter {
         const tx = this.parsedTxs[txid]
         if (tx == null) continue
         utxos.push({ index, tx, height })
+        found[outpoint] = true
+      }
+    }
+    if (outpoints) {
+      for (const outpoint of outpoints) {
+        if (!found[outpoint]) throw new Error(`Unknown UTXO ${outpoint}`)
+        if (this.isFrozen(outpoint)) {
+          throw new Error(`UTXO ${outpoint} is frozen`)
+        }
       }
     }
     return utxos
   }
 
+  isFrozen(outpoint: string): boolean {
+    return this.frozenUtxos[outpoint] === true
+  }
+
+  async freezeUtxos(outpoints: Array<string>) {
+    for (const outpoint of outpoints) {
+      if (!/^[0-9a-f]{64}:\d+$/.test(outpoint)) {
+        throw new Error(`Invalid outpoint ${outpoint}`)
+      }
+    }
+    for (const outpoint of outpoints) this.frozenUtxos[outpoint] = true
+    this.refreshBalanceBreakdown()
+    await this.saveFrozenUtxos()
+  }
+
+  async unfreezeUtxos(outpoints: Array<string>) {
+    for (const outpoint of outpoints) delete this.frozenUtxos[outpoint]
+    this.refreshBalanceBreakdown()
+    await this.saveFrozenUtxos()
+  }
+
   getNumTransactions(options: any): number {
     return Object.keys(this.txCache).length
   }
 
+  /**
+   * The date of a transaction in seconds,
+   * which is its block time once we have the header.
+   */
+  getTxDate(txid: string): number {
+    const { height = -1, firstSeen = Date.now() / 1000 } =
+      this.txHeightCache[txid] || {}
+    const header = height > 0 && this.pluginState.headerCache[`${height}`]
+    return header ? header.timestamp : firstSeen
+  }
+
+  /**
+   * Lists our transactions from newest to oldest,
+   * optionally only the ones from `startDate` up to `endDate`.
+   */
+  getSortedTxids(startDate?: number, endDate?: number): Array<string> {
+    const start = endDate == null ? 0 : findOlderTx(this.txIndex, endDate)
+    const end =
+      startDate == null
+        ? this.txIndex.length
+        : findOlderTx(this.txIndex, startDate)
+    return this.txIndex.slice(start, end).map(({ txid }) => txid)
+  }
+
+  // Moves a transaction to its place in the sorted index:
+  indexTx(txid: string) {
+    if (!this.parsedTxs[txid]) return
+    const { height = -1 } = this.txHeightCache[txid] || {}
+    const key = { txid, date: this.getTxDate(txid), height }
+    const oldKey = this.txIndexKeys[txid]
+    if (oldKey) {
+      if (compareTxs(oldKey, key) === 0) return
+      removeTx(this.txIndex, oldKey)
+    }
+    insertTx(this.txIndex, key)
+    this.txIndexKeys[txid] = key
+  }
+
+  // Records which outpoints a transaction spends:
+  indexSpends(txid: string) {
+    for (const { prevout } of this.parsedTxs[txid].inputs) {
+      const outpoint = `${prevout.rhash()}:${prevout.index}`
+      const txids = this.spendingTxids[outpoint] || []
+      if (!txids.includes(txid)) txids.push(txid)
+      this.spendingTxids[outpoint] = txids
+    }
+  }
+
+  rebuildTxIndex() {
+    this.txIndexKeys = {}
+    for (const txid of Object.keys(this.parsedTxs)) {
+      const { height = -1 } = this.txHeightCache[txid] || {}
+      this.txIndexKeys[txid] = { txid, date: this.getTxDate(txid), height }
+    }
+    this.txIndex = Object.keys(this.txIndexKeys)
+      .map(txid => this.txIndexKeys[txid])
+      .sort(compareTxs)
+  }
+
   dumpData(): any {
     return {
       'engineState.addressCache': this.addressCache,
@@ -385,6 +756,9 @@ export class EngineState extends EventEmitter {
       'engineState.usedAddresses': this.usedAddresses,
       'engineState.txCache': this.txCache,
       'engineState.txHeightCache': this.txHeightCache,
+      'engineState.replacedTxs': this.replacedTxs,
+      'engineState.rebroadcasts': this.rebroadcasts,
+      'engineState.frozenUtxos': this.frozenUtxos,
       'engineState.missingHeaders': this.missingHeaders,
       'engineState.serverStates': this.serverStates,
       'engineState.fetchingTxs': this.fetchingTxs,
@@ -401,11 +775,13 @@ export class EngineState extends EventEmitter {
   walletId: string
   txFile: string
   addressFile: string
+  frozenFile: string
   localDisklet: Disklet
   encryptedLocalDisklet: Disklet
   pluginState: PluginState
   engineInfo: EngineCurrencyInfo
   onBalanceChanged: () => void
+  onBalanceBreakdownChanged: (breakdown: BalanceBreakdown) => void
   onAddressUsed: () => void
   onHeightUpdated: (height: number) => void
   onTxFetched: (txid: string) => void
@@ -414,6 +790,7 @@ export class EngineState extends EventEmitter {
   addressCacheDirty: boolean
   txCacheDirty: boolean
   reconnectTimer: TimeoutID
+  rebroadcastTimer: TimeoutID
   reconnectCounter: number
   progressRatio: number
   txCacheInitSize: number
@@ -427,7 +804,14 @@ export class EngineState extends EventEmitter {
     this.usedAddresses = {}
     this.txCache = {}
     this.parsedTxs = {}
+    this.txIndex = []
+    this.txIndexKeys = {}
     this.txHeightCache = {}
+    this.spendingTxids = {}
+    this.replacedTxs = {}
+    this.frozenUtxos = {}
+    this.balanceBreakdown = undefined
+    this.rebroadcasts = {}
     this.connections = {}
     this.serverStates = {}
     this.fetchingTxs = {}
@@ -438,6 +822,7 @@ export class EngineState extends EventEmitter {
     this.io = options.io
     this.txFile = options.files.txs
     this.addressFile = options.files.addresses
+    this.frozenFile = options.files.frozen
     this.localDisklet = options.localDisklet
     this.encryptedLocalDisklet = options.encryptedLocalDisklet
     this.pluginState = options.pluginState
@@ -446,12 +831,14 @@ export class EngineState extends EventEmitter {
     this.log = options.log
     const {
       onBalanceChanged = nop,
+      onBalanceBreakdownChanged = nop,
       onAddressUsed = nop,
       onHeightUpdated = nop,
       onTxFetched = nop,
       onAddressesChecked = nop
     } = options.callbacks
     this.onBalanceChanged = onBalanceChanged
+    this.onBalanceBreakdownChanged = onBalanceBreakdownChanged
     this.onAddressUsed = onAddressUsed
     this.onHeightUpdated = onHeightUpdated
     this.onTxFetched = onTxFetched
@@ -872,6 +1259,8 @@ export class EngineState extends EventEmitter {
       // Update the cache on success:
       this.txCache = txs
       this.parsedTxs = parsedTxs
+      this.spendingTxids = {}
+      for (const txid of Object.keys(parsedTxs)) this.indexSpends(txid)
     } catch (e) {
       this.log(`Failed to load transaction cache: ${e}`)
     }
@@ -892,10 +1281,16 @@ export class EngineState extends EventEmitter {
       // Update the cache:
       this.addressCache = cacheJson.addresses
       this.txHeightCache = cacheJson.heights
+      this.replacedTxs = cacheJson.replaced || {}
+      this.rebroadcasts = cacheJson.rebroadcasts || {}
 
       // Fill up the missing headers to fetch
       for (const txid in this.txHeightCache) {
-        const height = this.txHeightCache[txid].height
+        const { height, firstSeen } = this.txHeightCache[txid]
+        // Older caches saved this in milliseconds:
+        if (firstSeen > MAX_SECONDS) {
+          this.txHeightCache[txid].firstSeen = firstSeen / 1000
+        }
         if (height > 0 && !this.pluginState.headerCache[`${height}`]) {
           this.missingHeaders[`${height}`] = true
         }
@@ -913,9 +1308,23 @@ export class EngineState extends EventEmitter {
       this.addressCache = {}
       this.addressInfos = {}
       this.txHeightCache = {}
+      this.replacedTxs = {}
+      this.rebroadcasts = {}
       this.log(`Failed to load address cache: ${e}`)
     }
 
+    // Load the user's frozen UTXOs:
+    if (this.frozenFile !== '') {
+      try {
+        const frozenText = await this.localDisklet.getText(this.frozenFile)
+        const { outpoints = [] } = JSON.parse(frozenText)
+        for (const outpoint of outpoints) this.frozenUtxos[outpoint] = true
+      } catch (e) {
+        this.log(`Failed to load frozen utxos: ${e}`)
+      }
+    }
+
+    this.rebuildTxIndex()
     return this
   }
 
@@ -926,7 +1335,12 @@ export class EngineState extends EventEmitter {
     this.usedAddresses = {}
     this.txCache = {}
     this.parsedTxs = {}
+    this.txIndex = []
+    this.txIndexKeys = {}
     this.txHeightCache = {}
+    this.spendingTxids = {}
+    this.replacedTxs = {}
+    this.rebroadcasts = {}
     this.connections = {}
     this.serverStates = {}
     this.fetchingTxs = {}
@@ -944,7 +1358,9 @@ export class EngineState extends EventEmitter {
       try {
         const json = JSON.stringify({
           addresses: this.addressCache,
-          heights: this.txHeightCache
+          heights: this.txHeightCache,
+          replaced: this.replacedTxs,
+          rebroadcasts: this.rebroadcasts
         })
         if (!this.addressFile || this.addressFile === '') {
           throw new Error('Missing addressFile')
@@ -974,6 +1390,13 @@ export class EngineState extends EventEmitter {
     }
   }
 
+  async saveFrozenUtxos() {
+    if (this.frozenFile === '') return
+    const json = JSON.stringify({ outpoints: Object.keys(this.frozenUtxos) })
+    await this.localDisklet.setText(this.frozenFile, json)
+    this.log(`Saved frozen utxos`)
+  }
+
   dirtyAddressCache() {
     this.addressCacheDirty = true
     if (this.progressRatio === 1) this.saveAddressCache()
@@ -1029,6 +1452,7 @@ export class EngineState extends EventEmitter {
       this.pluginState.headerCache[height] = header
       const affectedTXIDS = this.findAffectedTransactions(height)
       for (const txid of affectedTXIDS) {
+        this.indexTx(txid)
         if (this.parsedTxs[txid]) this.onTxFetched(txid)
       }
       this.pluginState.dirtyHeaderCache()
@@ -1047,6 +1471,8 @@ export class EngineState extends EventEmitter {
     for (const row of history) {
       txidList.push(row.tx_hash)
       this.handleTxidFetch(row.tx_hash, row.height)
+      // The servers have it, so we can stop re-sending it:
+      delete this.rebroadcasts[row.tx_hash]
     }
 
     // Save to the address cache:
@@ -1063,7 +1489,10 @@ export class EngineState extends EventEmitter {
     const parsedTx = parseTransaction(txData)
     this.txCache[txid] = txData
     this.parsedTxs[txid] = parsedTx
+    this.indexTx(txid)
+    this.indexSpends(txid)
     delete this.missingTxs[txid]
+    this.markReplacedTxs(txid)
     for (const scriptHash of this.findAffectedAddressesForInputs(txid)) {
       this.refreshAddressInfo(scriptHash)
     }
@@ -1092,6 +1521,9 @@ export class EngineState extends EventEmitter {
     if (this.txHeightCache[txid]) {
       const prevHeight = this.txHeightCache[txid].height
       this.txHeightCache[txid].height = height
+      if (this.parsedTxs[txid] && prevHeight <= 0 && height > 0) {
+        this.handleTxConfirmed(txid)
+      }
       if (
         this.parsedTxs[txid] &&
         (prevHeight === -1 || !prevHeight) &&
@@ -1099,12 +1531,14 @@ export class EngineState extends EventEmitter {
       ) {
         this.onTxFetched(txid)
       }
+      if (prevHeight !== height) this.refreshBalanceBreakdown()
     } else {
       this.txHeightCache[txid] = {
-        firstSeen: Date.now(),
+        firstSeen: Date.now() / 1000,
         height
       }
     }
+    this.indexTx(txid)
     // Add to the missing headers list:
     if (height > 0 && !this.pluginState.headerCache[`${height}`]) {
       this.missingHeaders[`${height}`] = true
@@ -1113,6 +1547,22 @@ export class EngineState extends EventEmitter {
     this.handleNewTxid(txid)
   }
 
+  /**
+   * Whatever spends the same coins as a confirmed transaction is dead,
+   * even the replacement of a transaction that confirms anyway.
+   */
+  handleTxConfirmed(txid: string) {
+    if (this.replacedTxs[txid]) {
+      delete this.replacedTxs[txid]
+      delete this.txHeightCache[txid].conflict
+      for (const scriptHash of this.findAffectedAddresses(txid)) {
+        this.refreshAddressInfo(scriptHash)
+      }
+      this.dirtyAddressCache()
+    }
+    this.markReplacedTxs(txid)
+  }
+
   // Someone has detected a potentially new txid, so update tables:
   handleNewTxid(txid: string) {
     // Add to the relevant txid list:
@@ -1126,6 +1576,85 @@ export class EngineState extends EventEmitter {
     }
   }
 
+  /**
+   * Finds the fee a transaction pays, or -1 if we are missing its inputs.
+   */
+  getTxFee(txid: string, prevTxs: { [txid: string]: any } = {}): number {
+    const tx = this.parsedTxs[txid]
+    let fee = -tx.getOutputValue()
+    for (const { prevout } of tx.inputs) {
+      const hash = prevout.rhash()
+      const prevTx = this.parsedTxs[hash] || prevTxs[hash]
+      if (!prevTx) return -1
+      fee += prevTx.outputs[prevout.index].value
+    }
+    return fee
+  }
+
+  /**
+   * Finds unconfirmed transactions spending the same outpoints as `txid`,
+   * and marks the ones that can no longer confirm.
+   */
+  markReplacedTxs(txid: string) {
+    const tx = this.parsedTxs[txid]
+    if (!tx || this.replacedTxs[txid]) return
+    const { height = -1 } = this.txHeightCache[txid] || {}
+    for (const { prevout } of tx.inputs) {
+      const outpoint = `${prevout.rhash()}:${prevout.index}`
+      for (const otherTxid of this.spendingTxids[outpoint] || []) {
+        if (otherTxid === txid || this.replacedTxs[otherTxid]) continue
+        const otherHeight = (this.txHeightCache[otherTxid] || {}).height || -1
+        if (otherHeight > 0 && height > 0) continue
+
+        if (otherHeight > 0) {
+          this.markConflict(txid, otherTxid, 'conflicted')
+          return
+        }
+        if (height > 0) {
+          this.markConflict(otherTxid, txid, 'conflicted')
+          continue
+        }
+
+        // BIP125 replacements always pay a higher fee than the original,
+        // so we can only tell them apart once we know both fees:
+        const fee = this.getTxFee(txid)
+        const otherFee = this.getTxFee(otherTxid)
+        if (fee === -1 || otherFee === -1) continue
+        const replaced = otherFee > fee ? txid : otherTxid
+        this.markConflict(
+          replaced,
+          replaced === txid ? otherTxid : txid,
+          'replaced'
+        )
+        if (replaced === txid) return
+      }
+    }
+  }
+
+  /**
+   * Records that `txid` lost its inputs to `winner`,
+   * along with any unconfirmed transactions spending its outputs,
+   * and gives the coins it spent back to the balance.
+   */
+  markConflict(txid: string, winner: string, conflict: TxConflict) {
+    if (this.replacedTxs[txid]) return
+    this.replacedTxs[txid] = winner
+    if (this.txHeightCache[txid]) this.txHeightCache[txid].conflict = conflict
+    for (const scriptHash of this.findAffectedAddresses(txid)) {
+      this.refreshAddressInfo(scriptHash)
+    }
+    this.dirtyAddressCache()
+    this.onTxFetched(txid)
+
+    const { outputs } = this.parsedTxs[txid]
+    for (let i = 0; i < outputs.length; i++) {
+      for (const childTxid of this.spendingTxids[`${txid}:${i}`] || []) {
+        const { height = -1 } = this.txHeightCache[childTxid] || {}
+        if (height <= 0) this.markConflict(childTxid, winner, 'conflicted')
+      }
+    }
+  }
+
   // A server has sent UTXO data, so update the caches:
   handleUtxoFetch(
     scriptHash: string,
@@ -1166,12 +1695,15 @@ export class EngineState extends EventEmitter {
 
     // We only include existing stuff:
     const txids = address.txids.filter(txid => this.txCache[txid])
-    const utxos = address.utxos.filter(utxo => this.txCache[utxo.txid])
+    const utxos = address.utxos.filter(
+      utxo => this.txCache[utxo.txid] && !this.replacedTxs[utxo.txid]
+    )
 
     // Make a list of unconfirmed transactions for the utxo search:
     const pendingTxids = txids.filter(
       txid =>
         this.txHeightCache[txid].height <= 0 &&
+        !this.replacedTxs[txid] &&
         !utxos.find(utxo => utxo.txid === txid)
     )
 
@@ -1219,7 +1751,10 @@ export class EngineState extends EventEmitter {
       redeemScript
     }
 
-    if (prevBalance !== balance) this.onBalanceChanged()
+    if (prevBalance !== balance) {
+      this.onBalanceChanged()
+      this.refreshBalanceBreakdown()
+    }
     if (prevUsed !== used) this.onAddressUsed()
   }
 
@@ -1,6 +1,9 @@
 // @flow
 
+import { Buffer } from 'buffer'
+
 import { toNewFormat } from '../utils/addressFormat.js'
+import { type Bip322Format, signBip322Message } from '../utils/bip322.js'
 import type {
   BlockHeight,
   Output,
@@ -9,13 +12,50 @@ import type {
   TxOptions,
   Utxo
 } from '../utils/coinUtils.js'
-import { createTX, getLock, parsePath } from '../utils/coinUtils.js'
+import {
+  createTX,
+  getLock,
+  getPrivateFromSeed,
+  getTxid,
+  parseExtendedPublicKey,
+  parsePath
+} from '../utils/coinUtils.js'
+import {
+  type KeyExpression,
+  createDescriptor,
+  createMultisigDescriptor,
+  parseKeyExpression
+} from '../utils/descriptors.js'
 import {
   type FormatSelector,
   formatSelector,
   getAllKeyRings
 } from '../utils/formatSelector.js'
 import { logger } from '../utils/logger.js'
+import {
+  type MultisigSettings,
+  validateMultisigSettings
+} from '../utils/multisig.js'
+import {
+  type Psbt,
+  type PsbtDerivation,
+  addSignaturesToPsbt,
+  createPsbt,
+  extractPsbtTx,
+  finalizePsbt,
+  getPsbtUtxo,
+  isPsbtFinalized,
+  parsePsbtTransaction
+} from '../utils/psbt.js'
+import {
+  type Timelock,
+  isTimelockMature,
+  LOCKTIME_THRESHOLD,
+  parseTimelockScript,
+  timelockTemplates
+} from '../utils/timelocks.js'
+import { estimateVsize, inputWeight } from '../utils/txSize.js'
+import { hash160, hash256Sync, reverseBufferToHex } from '../utils/utils.js'
 import { type AddressInfo } from './engineState.js'
 
 const GAP_LIMIT = 10
@@ -56,12 +96,26 @@ export type RawKeys = {
 
 export type createTxOptions = {
   outputs?: Array<Output>,
+  opReturns?: Array<string>,
   utxos: Array<Utxo>,
   height: BlockHeight,
   rate: number,
+  changeAddress?: string,
   txOptions: TxOptions
 }
 
+export type KeyOrigin = {
+  fingerprint: string,
+  path: string
+}
+
+export type Cosigner = {
+  key: KeyExpression,
+  pubKey: any,
+  // Branch keys, derived as needed:
+  branches: { [branch: number]: any }
+}
+
 export type SignMessage = {
   message: string,
   address: string
@@ -92,6 +146,8 @@ export type KeyManagerOptions = {
   bip?: string,
   coinType?: number,
   gapLimit: number,
+  keyOrigin?: KeyOrigin,
+  multisig?: MultisigSettings,
   network: string,
   rawKeys?: RawKeys,
   seed?: string,
@@ -115,6 +171,9 @@ export class KeyManager {
   // Our state:
   writeLock: any
   keys: Keys
+  keyOrigin: KeyOrigin | void
+  multisig: MultisigSettings | void
+  cosigners: Array<Cosigner>
 
   // EngineState:
   engineState: BasicEngineState
@@ -137,6 +196,8 @@ export class KeyManager {
       rawKeys = {},
       seed = '',
       gapLimit = GAP_LIMIT,
+      keyOrigin,
+      multisig,
       network,
       callbacks
     } = opts
@@ -149,10 +210,20 @@ export class KeyManager {
       throw new Error('Missing Master Key')
     }
     this.seed = seed
+    this.keyOrigin = keyOrigin
     this.gapLimit = gapLimit
     this.network = network
     this.bip = bip
-    this.fSelector = formatSelector(bip, network)
+    if (multisig) validateMultisigSettings(multisig)
+    this.multisig = multisig
+    this.fSelector = formatSelector(bip, network, multisig)
+    this.cosigners = (multisig ? multisig.cosigners : []).map(expression => {
+      const key = parseKeyExpression(expression)
+      // Cosigners may share SLIP-132 keys, such as Zpubs
+      key.xpub = parseExtendedPublicKey(key.xpub, network, bip).xpub
+      const pubKey = this.fSelector.publicKeyFromRaw(key.xpub)
+      return { key, pubKey, branches: {} }
+    })
     // Create a lock for when deriving addresses
     this.writeLock = getLock()
     // Create the master derivation path
@@ -175,6 +246,8 @@ export class KeyManager {
         const [branch, index] = path
         const displayAddress = toNewFormat(addressObj.displayAddress, network)
         const { redeemScript } = addressObj
+        const lock = redeemScript ? parseTimelockScript(redeemScript) : null
+        if (lock && !branches[`${branch}`]) this.addTimelockBranch(lock.type)
         const address = {
           displayAddress,
           scriptHash,
@@ -198,6 +271,7 @@ export class KeyManager {
   async load() {
     // If we don't have a public master key we will now create it from seed
     if (!this.keys.master.pubKey) await this.initMasterKeys()
+    if (this.multisig) await this.initCosigners()
     await this.setLookAhead(true)
   }
 
@@ -217,14 +291,107 @@ export class KeyManager {
     return this.getNextAvailable(this.keys.change.children)
   }
 
+  /**
+   * Finds the address one of our own transactions sent its change to.
+   */
+  findChangeAddress(tx: any): string | void {
+    const { addressInfos } = this.engineState
+    for (const { scriptHash } of tx.outputs) {
+      if (this.isChangeAddress(scriptHash)) {
+        return addressInfos[scriptHash].displayAddress
+      }
+    }
+  }
+
+  /**
+   * Checks if one of our addresses is on the change branch.
+   * BIP32 wallets only have one branch, so any of their addresses can be.
+   */
+  isChangeAddress(scriptHash: string): boolean {
+    const addressInfo = this.engineState.addressInfos[scriptHash]
+    if (!addressInfo) return false
+    const [branch] = parsePath(addressInfo.path, this.masterPath)
+    return this.bip === 'bip32' || branch === 1
+  }
+
+  /**
+   * Leaves out timelocked coins that can't go in the next block.
+   * Height and time locked coins can't share a transaction,
+   * so time locked ones wait while any height locked ones are mature.
+   */
+  spendableUtxos(utxos: Array<Utxo>, height: BlockHeight): Array<Utxo> {
+    const locks = utxos.map(utxo => this.getTimelock(utxo))
+    const heightLocked = locks.some(
+      lock => lock && lock.type === 'cltv' && lock.value < LOCKTIME_THRESHOLD
+    )
+    return utxos.filter((utxo, i) => {
+      const lock = locks[i]
+      if (!lock) return true
+      if (heightLocked && lock.type === 'cltv') {
+        if (lock.value >= LOCKTIME_THRESHOLD) return false
+      }
+      return isTimelockMature(lock, utxo.height || -1, height)
+    })
+  }
+
+  /**
+   * Timelock branches only exist in wallets that use them,
+   * so they get added the first time we pay into one.
+   */
+  addTimelockBranch(type: string): number {
+    if (this.multisig) throw new Error('Multisig wallets have no timelocks')
+    const branch = this.fSelector.addScriptTemplate(
+      type,
+      timelockTemplates[type]
+    )
+    if (!this.keys[type]) {
+      this.keys[type] = { pubKey: null, privKey: null, children: [] }
+    }
+    return branch
+  }
+
+  // Reads the lock on one of our timelocked UTXOs
+  getTimelock({ tx, index }: Utxo): Timelock | null {
+    const redeemScript = this.getRedeemScript(tx.outputs[index].script)
+    return redeemScript ? parseTimelockScript(redeemScript) : null
+  }
+
   async createTX(options: createTxOptions): any {
-    const { outputs = [], ...rest } = options
+    const {
+      outputs = [],
+      changeAddress = this.getChangeAddress(),
+      ...rest
+    } = options
+    // Timelocked coins need a locktime or sequence that satisfies them
+    const { height = -1 } = rest
+    rest.utxos = this.spendableUtxos(rest.utxos, height)
+    const sequences = { ...rest.txOptions.sequences }
+    let { locktime, version } = rest.txOptions
+    for (const utxo of rest.utxos) {
+      const lock = this.getTimelock(utxo)
+      if (!lock) continue
+      const outpoint = `${utxo.tx.txid()}:${utxo.index}`
+      if (lock.type === 'csv' && sequences[outpoint] == null) {
+        sequences[outpoint] = lock.value
+      }
+      // Relative locks only work from version 2 on
+      if (lock.type === 'csv' && version == null) version = 2
+      if (lock.type === 'cltv' && rest.txOptions.locktime == null) {
+        const value = lock.value < LOCKTIME_THRESHOLD ? height : lock.value
+        locktime = Math.max(locktime || 0, value)
+      }
+    }
+    rest.txOptions = { ...rest.txOptions, sequences, locktime, version }
     const standardOutputs: Array<StandardOutput> = []
     const branches = this.fSelector.branches
     for (const output of outputs) {
       let { address = '' } = output
       if (output.script) {
         const { type, params } = output.script
+        if (!this.keys[type] && timelockTemplates[type]) {
+          const branch = this.addTimelockBranch(type)
+          await this.deriveNewKeys(this.keys[type], branch, false)
+        }
         const keyRing = this.keys[type]
         if (params && params.length) {
           const index = keyRing.children.length
@@ -251,38 +418,64 @@ export class KeyManager {
     return createTX({
       ...rest,
       outputs: standardOutputs,
-      changeAddress: this.getChangeAddress(),
-      estimate: prev => this.fSelector.estimateSize(prev),
+      changeAddress,
+      estimate: prev =>
+        this.fSelector.estimateSize(prev, this.getRedeemScript(prev)),
       network: this.network
     })
   }
 
+  /**
+   * Estimates the final virtual size of an unsigned transaction.
+   */
+  estimateSize(tx: any): number {
+    const { parsedTxs } = this.engineState
+    const inputs = tx.inputs.map(({ prevout }) => {
+      const parsedTx = parsedTxs[prevout.rhash()]
+      if (!parsedTx) throw new Error('UTXO not synced yet')
+      const { script } = parsedTx.outputs[prevout.index]
+      return this.fSelector.getInputInfo(
+        script.toRaw().toString('hex'),
+        this.getRedeemScript(script)
+      )
+    })
+    const outputs = tx.outputs.map(({ script }) =>
+      script.toRaw().toString('hex')
+    )
+    return estimateVsize(inputs, outputs)
+  }
+
+  /**
+   * The virtual size that spending one of our UTXOs adds to a transaction.
+   */
+  inputSize({ tx, index }: Utxo): number {
+    const { script } = tx.outputs[index]
+    const info = this.fSelector.getInputInfo(
+      script.toRaw().toString('hex'),
+      this.getRedeemScript(script)
+    )
+    return inputWeight(info) / 4
+  }
+
+  // Finds the redeem script for one of our output scripts, if it has one
+  getRedeemScript(outputScript: any): string | void {
+    const scriptHash = reverseBufferToHex(hash256Sync(outputScript.toRaw()))
+    const addressInfo = this.engineState.addressInfos[scriptHash]
+    return addressInfo ? addressInfo.redeemScript : undefined
+  }
+
   async sign(tx: any, privateKeys: Array<string> = []) {
     const keyRings = await getAllKeyRings(privateKeys, this.network)
     if (!keyRings.length) {
-      if (!this.keys.master.privKey && this.seed === '') {
-        throw new Error("Can't sign without private key")
+      if (this.multisig) {
+        throw new Error('Multisig transactions must be signed as PSBTs')
       }
-      await this.initMasterKeys()
-      const { branches } = this.fSelector
+      await this.initSigningKeys()
       for (const input of tx.inputs) {
         const { prevout } = input
         if (prevout) {
           const { branch, index, redeemScript } = this.utxoToAddress(prevout)
-          const branchName = branches[`${branch}`]
-          const keyRing = this.keys[branchName]
-          if (!keyRing.privKey) {
-            keyRing.privKey = await this.fSelector.deriveHdKey(
-              this.keys.master.privKey,
-              branch
-            )
-            this.saveKeysToCache()
-          }
-          const key = await this.fSelector.deriveKeyRing(
-            keyRing.privKey,
-            index,
-            redeemScript
-          )
+          const key = await this.getPrivateKeyRing(branch, index, redeemScript)
           keyRings.push(key)
         }
       }
@@ -290,6 +483,159 @@ export class KeyManager {
     return this.fSelector.sign(tx, keyRings)
   }
 
+  /**
+   * Proves we own one of our addresses by signing a message with BIP322.
+   */
+  async signMessageBip322(
+    message: string,
+    address: string,
+    format: Bip322Format = 'simple'
+  ): Promise<string> {
+    if (this.multisig) {
+      throw new Error('Multisig addresses need every cosigner to sign')
+    }
+    const key = await this.getKeyForAddress(address)
+    return signBip322Message(
+      message,
+      address,
+      key,
+      format,
+      this.fSelector.sign,
+      this.network
+    )
+  }
+
+  /**
+   * Signs every input of the PSBT that we have keys for.
+   * Multisig inputs get our partial signature,
+   * which only finalizes them once enough cosigners have signed.
+   * Returns the final transaction too, once every input is signed.
+   */
+  async signPsbt(
+    psbt: Psbt,
+    privateKeys: Array<string> = []
+  ): Promise<{ psbt: Psbt, signedTx: string, txid: string }> {
+    const tx = parsePsbtTransaction(psbt, this.network)
+    const keyRings = await getAllKeyRings(privateKeys, this.network)
+    const indexes = []
+    if (keyRings.length) {
+      tx.inputs.forEach((input, i) => indexes.push(i))
+    } else {
+      await this.initSigningKeys()
+      const { addressInfos } = this.engineState
+      for (let i = 0; i < tx.inputs.length; i++) {
+        const utxo = getPsbtUtxo(psbt, i, this.network)
+        if (!utxo) continue
+        const scriptHash = reverseBufferToHex(
+          hash256Sync(Buffer.from(utxo.script, 'hex'))
+        )
+        const addressInfo = addressInfos[scriptHash]
+        if (!addressInfo) continue
+        const [branch, index] = parsePath(addressInfo.path, this.masterPath)
+        const { redeemScript } = addressInfo
+        keyRings.push(await this.getPrivateKeyRing(branch, index, redeemScript))
+        indexes.push(i)
+      }
+    }
+    if (!keyRings.length) {
+      throw new Error('No inputs in this PSBT belong to this wallet')
+    }
+
+    let signedPsbt
+    if (this.multisig && !privateKeys.length) {
+      signedPsbt = finalizePsbt(
+        await this.addPartialSignatures(psbt, tx, keyRings, indexes),
+        this.network
+      )
+    } else {
+      const { signedTx } = await this.fSelector.sign(tx, keyRings)
+      signedPsbt = finalizePsbt(
+        addSignaturesToPsbt(psbt, signedTx, indexes),
+        this.network
+      )
+    }
+    if (!isPsbtFinalized(signedPsbt)) {
+      return { psbt: signedPsbt, signedTx: '', txid: '' }
+    }
+    const finalTx = extractPsbtTx(signedPsbt)
+    return {
+      psbt: signedPsbt,
+      signedTx: finalTx,
+      txid: getTxid(finalTx, this.network)
+    }
+  }
+
+  async addPartialSignatures(
+    psbt: Psbt,
+    tx: any,
+    keyRings: Array<any>,
+    indexes: Array<number>
+  ): Promise<Psbt> {
+    const out: Psbt = JSON.parse(JSON.stringify(psbt))
+    for (let i = 0; i < indexes.length; i++) {
+      const input = out.inputs[indexes[i]]
+      const utxo = getPsbtUtxo(psbt, indexes[i], this.network)
+      if (!utxo) continue
+      // Fill in the scripts in case our cosigners left them out
+      const scriptHash = reverseBufferToHex(
+        hash256Sync(Buffer.from(utxo.script, 'hex'))
+      )
+      const info = await this.getDerivation(scriptHash)
+      if (info) {
+        const { redeemScript, witnessScript } = info
+        if (input.redeemScript == null) input.redeemScript = redeemScript
+        if (input.witnessScript == null) input.witnessScript = witnessScript
+      }
+      const key = keyRings[i]
+      const pubkey = key.publicKey.toString('hex')
+      input.partialSigs[pubkey] = this.fSelector.signInput(
+        tx,
+        indexes[i],
+        key,
+        utxo.value
+      )
+    }
+    return out
+  }
+
+  /**
+   * Creates a PSBT for an unsigned transaction built by `createTX`,
+   * adding the UTXO, redeem script and key path info for everything we own.
+   */
+  async createPsbt(tx: any): Promise<Psbt> {
+    const psbt = createPsbt(tx.toRaw().toString('hex'))
+    const { parsedTxs } = this.engineState
+    for (let i = 0; i < tx.inputs.length; i++) {
+      const { prevout } = tx.inputs[i]
+      const prevTx = parsedTxs[prevout.rhash()]
+      if (!prevTx) throw new Error('UTXO not synced yet')
+      const output = prevTx.outputs[prevout.index]
+      const psbtInput = psbt.inputs[i]
+      const info = await this.getDerivation(output.scriptHash)
+      if (!info) throw new Error('Address is not part of this wallet')
+      const { derivations, redeemScript, witnessScript } = info
+      const script = output.script.toRaw().toString('hex')
+      psbtInput.nonWitnessUtxo = prevTx.toRaw().toString('hex')
+      if (/^00/.test(redeemScript || script)) {
+        psbtInput.witnessUtxo = { value: output.value, script }
+      }
+      psbtInput.redeemScript = redeemScript
+      psbtInput.witnessScript = witnessScript
+      psbtInput.bip32Derivation.push(...derivations)
+    }
+    for (let i = 0; i < tx.outputs.length; i++) {
+      const scriptRaw = tx.outputs[i].script.toRaw()
+      const scriptHash = reverseBufferToHex(hash256Sync(scriptRaw))
+      const info = await this.getDerivation(scriptHash)
+      if (!info) continue
+      const psbtOutput = psbt.outputs[i]
+      psbtOutput.redeemScript = info.redeemScript
+      psbtOutput.witnessScript = info.witnessScript
+      psbtOutput.bip32Derivation.push(...info.derivations)
+    }
+    return psbt
+  }
+
   getSeed(): string | null {
     if (this.seed && this.seed !== '') {
       try {
@@ -302,6 +648,29 @@ export class KeyManager {
     return null
   }
 
+  /**
+   * Exports the receive and change branches as output descriptors.
+   */
+  async getDescriptors(): Promise<Array<string>> {
+    const branches = this.bip === 'bip32' ? [0] : [0, 1]
+    const { multisig } = this
+    if (multisig) {
+      const keys = this.cosigners.map(({ key }) => key)
+      return branches.map(branch =>
+        createMultisigDescriptor(multisig, keys, branch)
+      )
+    }
+    const xpub = this.getPublicSeed()
+    if (!xpub) throw new Error('Missing master public key')
+    const { fingerprint, path } = await this.getKeyOrigin()
+    const key = { format: this.bip, xpub, fingerprint, path }
+    return branches.map(branch => createDescriptor(key, branch))
+  }
+
+  isWatchOnly(): boolean {
+    return !this.keys.master.privKey && this.seed === ''
+  }
+
   getPublicSeed(): string | null {
     return this.keys.master.pubKey
       ? this.keys.master.pubKey.toBase58(this.network)
@@ -313,33 +682,129 @@ export class KeyManager {
   // ////////////////////////////////////////////// //
 
   async getKeyForAddress(address: string): Object {
-    if (!this.keys.master.privKey && this.seed === '') {
-      throw new Error("Can't sign without private key")
-    }
-    await this.initMasterKeys()
+    await this.initSigningKeys()
     const { addressInfos, scriptHashes } = this.engineState
     if (!address) throw new Error('Missing address to sign with')
     const scriptHash = scriptHashes[address]
     if (!scriptHash) throw new Error('Address is not part of this wallet')
     const addressInfo = addressInfos[scriptHash]
     if (!addressInfo) throw new Error('Address is not part of this wallet')
-    const { path } = addressInfo
-    const pathSuffix = path.split(this.masterPath + '/')[1]
-    const [branch: string, index: string] = pathSuffix.split('/')
+    const [branch, index] = parsePath(addressInfo.path, this.masterPath)
+    return this.getPrivateKeyRing(branch, index, addressInfo.redeemScript)
+  }
+
+  async getPrivateKeyRing(
+    branch: number,
+    index: number,
+    redeemScript?: string
+  ): Object {
     const branchName = this.fSelector.branches[`${branch}`]
     const keyRing = this.keys[branchName]
     if (!keyRing.privKey) {
       keyRing.privKey = await this.fSelector.deriveHdKey(
         this.keys.master.privKey,
-        parseInt(branch)
+        branch
       )
       this.saveKeysToCache()
     }
-    const key = await this.fSelector.deriveKeyRing(
-      keyRing.privKey,
-      parseInt(index)
+    return this.fSelector.deriveKeyRing(keyRing.privKey, index, redeemScript)
+  }
+
+  /**
+   * Returns the root fingerprint and the path to our master key.
+   * Without a seed we can't see the root,
+   * so the master key itself becomes the origin.
+   */
+  async getKeyOrigin(): Promise<KeyOrigin> {
+    if (!this.keyOrigin) {
+      if (this.seed !== '') {
+        const rootKey = await getPrivateFromSeed(this.seed, this.network)
+        const rootHash = await hash160(rootKey.publicKey)
+        const fingerprint = rootHash.slice(0, 4).toString('hex')
+        this.keyOrigin = { fingerprint, path: this.masterPath }
+      } else {
+        const masterHash = await hash160(this.keys.master.pubKey.publicKey)
+        const fingerprint = masterHash.slice(0, 4).toString('hex')
+        this.keyOrigin = { fingerprint, path: 'm' }
+      }
+    }
+    return this.keyOrigin
+  }
+
+  /**
+   * Looks up the key paths and scripts for one of our addresses.
+   */
+  async getDerivation(
+    scriptHash: string
+  ): Promise<{
+    derivations: Array<PsbtDerivation>,
+    redeemScript?: string,
+    witnessScript?: string
+  } | null> {
+    const addressInfo = this.engineState.addressInfos[scriptHash]
+    if (!addressInfo) return null
+    const path = parsePath(addressInfo.path, this.masterPath)
+    if (path.length !== 2) return null
+    const [branch, index] = path
+    if (this.multisig) {
+      const { redeemScript = '' } = addressInfo
+      return this.getMultisigDerivation(redeemScript, branch, index)
+    }
+    const keyRing = this.keys[this.fSelector.branches[`${branch}`]]
+    if (!keyRing || !keyRing.pubKey) return null
+    const { publicKey } = await this.fSelector.deriveHdKey(
+      keyRing.pubKey,
+      index
     )
-    return key
+    let { redeemScript } = addressInfo
+    if (!redeemScript && this.bip === 'bip49') {
+      const keyHash = await hash160(publicKey)
+      redeemScript = `0014${keyHash.toString('hex')}`
+    }
+    const origin = await this.getKeyOrigin()
+    const derivation = {
+      pubkey: publicKey.toString('hex'),
+      fingerprint: origin.fingerprint,
+      path: `${origin.path}/${branch}/${index}`
+    }
+    return { derivations: [derivation], redeemScript }
+  }
+
+  /**
+   * Multisig addresses keep their m-of-n script as the `redeemScript`,
+   * which becomes the witness script for the segwit types.
+   */
+  async getMultisigDerivation(
+    multisigScript: string,
+    branch: number,
+    index: number
+  ): Promise<{
+    derivations: Array<PsbtDerivation>,
+    redeemScript?: string,
+    witnessScript?: string
+  }> {
+    const derivations = []
+    for (const cosigner of this.cosigners) {
+      const parentKey = await this.getCosignerBranch(cosigner, branch)
+      const { publicKey } = await this.fSelector.deriveHdKey(parentKey, index)
+      const { fingerprint = '', path = 'm' } = cosigner.key
+      derivations.push({
+        pubkey: publicKey.toString('hex'),
+        fingerprint,
+        path: `${path}/${branch}/${index}`
+      })
+    }
+    const { scriptType } = this.multisig || {}
+    if (scriptType === 'p2sh') {
+      return { derivations, redeemScript: multisigScript }
+    }
+    const scriptRaw = Buffer.from(multisigScript, 'hex')
+    const program = `0020${hash256Sync(scriptRaw).toString('hex')}`
+    return {
+      derivations,
+      redeemScript: scriptType === 'p2sh-p2wsh' ? program : undefined,
+      witnessScript: multisigScript
+    }
   }
 
   utxoToAddress(
@@ -385,6 +850,47 @@ export class KeyManager {
     this.saveKeysToCache()
   }
 
+  /**
+   * Makes sure our own key is one of the cosigners,
+   * and that every cosigner has a key origin.
+   */
+  async initCosigners() {
+    const ourXpub = this.keys.master.pubKey.toBase58(this.network)
+    const ours = this.cosigners.find(({ key }) => key.xpub === ourXpub)
+    if (!ours) throw new Error('Our key is not one of the multisig cosigners')
+    ours.pubKey = this.keys.master.pubKey
+    if (ours.key.fingerprint) {
+      const { fingerprint, path = 'm' } = ours.key
+      this.keyOrigin = { fingerprint, path }
+    } else {
+      Object.assign(ours.key, await this.getKeyOrigin())
+    }
+    // Keys without an origin are treated as their own root
+    for (const { key, pubKey } of this.cosigners) {
+      if (key.fingerprint) continue
+      const keyHash = await hash160(pubKey.publicKey)
+      key.fingerprint = keyHash.slice(0, 4).toString('hex')
+      key.path = 'm'
+    }
+  }
+
+  async getCosignerBranch(cosigner: Cosigner, branch: number): Promise<any> {
+    if (!cosigner.branches[branch]) {
+      cosigner.branches[branch] = await this.fSelector.deriveHdKey(
+        cosigner.pubKey,
+        branch
+      )
+    }
+    return cosigner.branches[branch]
+  }
+
+  async initSigningKeys() {
+    if (this.isWatchOnly()) {
+      throw new Error('Cannot sign with a watch-only wallet')
+    }
+    await this.initMasterKeys()
+  }
+
   saveKeysToCache() {
     try {
       const keys = {}
@@ -477,7 +983,13 @@ export class KeyManager {
   ): Promise<Address | null> {
     let newAddress = {}
 
-    if (!this.fSelector.hasScript(branch, scriptObj)) {
+    if (this.multisig) {
+      const parentKeys = []
+      for (const cosigner of this.cosigners) {
+        parentKeys.push(await this.getCosignerBranch(cosigner, branch))
+      }
+      newAddress = await this.fSelector.deriveMultisigAddress(parentKeys, index)
+    } else if (!this.fSelector.hasScript(branch, scriptObj)) {
       newAddress = await this.fSelector.deriveAddress(keyRing.pubKey, index)
     } else {
       newAddress = await this.fSelector.deriveScriptAddress(
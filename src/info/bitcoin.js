@@ -9,7 +9,7 @@ import { imageServerUrl } from './constants.js'
 const bcoinInfo: BcoinCurrencyInfo = {
   type: 'bitcoin',
   magic: 0xd9b4bef9,
-  formats: ['bip49', 'bip84', 'bip44', 'bip32'],
+  formats: ['bip49', 'bip84', 'bip86', 'bip44', 'bip32', 'bip48'],
   forks: ['bitcoincash', 'bitcoingold', 'bitcoindiamond'],
   keyPrefix: {
     privkey: 0x80,
@@ -33,6 +33,7 @@ const engineInfo: EngineCurrencyInfo = {
   currencyCode: 'BTC',
   gapLimit: 25,
   defaultFee: 1000,
+  antiFeeSniping: true,
   feeUpdateInterval: 60000,
   earnComFeeInfoServer: 'https://Bitcoinfees.Earn.com/api/v1/fees/list',
   mempoolSpaceFeeInfoServer: 'https://mempool.space/api/v1/fees/recommended',
@@ -15,7 +15,7 @@ const hash256 = (rawTx: string) => {
 const bcoinInfo: BcoinCurrencyInfo = {
   type: 'bitcointestnet',
   magic: 0x0709110b,
-  formats: ['bip49', 'bip84', 'bip44', 'bip32'],
+  formats: ['bip49', 'bip84', 'bip86', 'bip44', 'bip32', 'bip48'],
   forks: ['bitcoincash', 'bitcoingold', 'bitcoindiamond'],
   keyPrefix: {
     privkey: 0xef,
@@ -42,6 +42,7 @@ const engineInfo: EngineCurrencyInfo = {
   currencyCode: 'TBTC',
   gapLimit: 10,
   defaultFee: 1000,
+  antiFeeSniping: true,
   feeUpdateInterval: 60000,
   earnComFeeInfoServer: '',
   customFeeSettings: ['satPerByte'],
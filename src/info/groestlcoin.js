@@ -7,11 +7,12 @@ import { type EdgeCurrencyInfo } from 'edge-core-js/types'
 
 import type { EngineCurrencyInfo } from '../engine/currencyEngine.js'
 import type { BcoinCurrencyInfo } from '../utils/bcoinExtender/bcoinExtender.js'
+import { decodeSegwitAddress } from '../utils/bech32.js'
 import { imageServerUrl } from './constants.js'
 
 const isBech32 = address => {
   try {
-    const hrp = utils.bech32.decode(address).hrp
+    const { hrp } = decodeSegwitAddress(address)
     return hrp === bcoinInfo.addressPrefix.bech32
   } catch (e) {
     return false
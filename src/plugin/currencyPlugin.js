@@ -26,13 +26,22 @@ import {
   addNetwork,
   patchCrypto
 } from '../utils/bcoinExtender/bcoinExtender.js'
+import { verifyBip322Message } from '../utils/bip322.js'
 import {
   getForksForNetwork,
   getFromatsForNetwork,
-  keysFromEntropy
+  keysFromDescriptor,
+  keysFromEntropy,
+  keysFromXpub,
+  parseExtendedPublicKey,
+  verifyBitcoinMessage
 } from '../utils/coinUtils.js'
-import { getXPubFromSeed } from '../utils/formatSelector.js'
+import {
+  getKeyExpressionFromSeed,
+  getXPubFromSeed
+} from '../utils/formatSelector.js'
 import { logger, setLogger } from '../utils/logger.js'
+import { validateMultisigSettings } from '../utils/multisig.js'
 import { checkCacheVersion } from '../utils/upgradeCache.js'
 import { type PluginIo } from './pluginIo.js'
 import { PluginState } from './pluginState.js'
@@ -98,7 +107,36 @@ export class CurrencyTools {
     opts?: EdgeCreatePrivateKeyOptions
   ) {
     const randomBuffer = Buffer.from(this.io.random(32))
-    return keysFromEntropy(randomBuffer, this.network, opts)
+    const keys = keysFromEntropy(randomBuffer, this.network, opts)
+    if (!keys.multisig) return keys
+
+    // Multisig wallets list our own key among the cosigners
+    const { format, coinType, multisig } = keys
+    const network = this.network
+    const seed = keys[`${network}Key`]
+    const ourKey = await getKeyExpressionFromSeed({
+      seed,
+      network,
+      format,
+      coinType,
+      multisig
+    })
+    const { cosigners = [] } = multisig
+    const settings = { ...multisig, cosigners: [ourKey, ...cosigners] }
+    validateMultisigSettings(settings)
+    return { ...keys, multisig: settings }
+  }
+
+  /**
+   * Creates watch-only wallet keys from an xpub, ypub or zpub,
+   * or from output descriptors such as `wpkh([origin]xpub/0/*)`.
+   * The wallet format is detected from the key's SLIP-132 version
+   * or the descriptor type, or taken from `opts.format` for plain xpubs.
+   */
+  async importPublicKey(userInput: string, opts?: Object) {
+    return userInput.includes('(')
+      ? keysFromDescriptor(userInput, this.network, opts)
+      : keysFromXpub(userInput, this.network, opts)
   }
 
   async derivePublicKey(walletInfo: EdgeWalletInfo) {
@@ -108,13 +146,25 @@ export class CurrencyTools {
   async internalDerivePublicKey(walletInfo: EdgeWalletInfo) {
     if (!walletInfo.keys) throw new Error('InvalidKeyName')
     const network = this.network
-    const { format, coinType = -1 } = walletInfo.keys
+    const { format, coinType = -1, multisig } = walletInfo.keys
     if (!format || !getFromatsForNetwork(network).includes(format)) {
       throw new Error('InvalidWalletType')
     }
     const seed = walletInfo.keys[`${network}Key`] || ''
-    if (!seed) throw new Error('InvalidKeyName')
-    const xpub = await getXPubFromSeed({ seed, network, format, coinType })
+    if (!seed) {
+      // Watch-only wallets come with their xpub already
+      const xpub = walletInfo.keys[`${network}Xpub`]
+      if (!xpub) throw new Error('InvalidKeyName')
+      parseExtendedPublicKey(xpub, network, format)
+      return { ...walletInfo.keys }
+    }
+    const xpub = await getXPubFromSeed({
+      seed,
+      network,
+      format,
+      coinType,
+      multisig
+    })
     return { ...walletInfo.keys, [`${network}Xpub`]: xpub }
   }
 
@@ -126,6 +176,28 @@ export class CurrencyTools {
     return Promise.resolve(encodeUri(obj, this.network, this.currencyInfo))
   }
 
+  /**
+   * Checks a signed message against a P2PKH, P2SH-P2WPKH or P2WPKH address.
+   */
+  verifyMessageBase64(
+    message: string,
+    address: string,
+    signature: string
+  ): Promise<boolean> {
+    return verifyBitcoinMessage(message, address, signature, this.network)
+  }
+
+  /**
+   * Checks a simple or full BIP322 signature against an address.
+   */
+  verifyMessageBip322(
+    message: string,
+    address: string,
+    signature: string
+  ): Promise<boolean> {
+    return verifyBip322Message(message, address, signature, this.network)
+  }
+
   getSplittableTypes(walletInfo: EdgeWalletInfo): Array<string> {
     const { keys: { format = 'bip32' } = {} } = walletInfo
     const forks = getForksForNetwork(this.network)
@@ -162,6 +234,7 @@ const makeCurrencyPluginFactory = (
         const tools = await this.makeCurrencyTools()
         const engine = new CurrencyEngine({
           walletInfo,
+          currencyInfo,
           engineInfo,
           pluginState: tools.state,
           options,
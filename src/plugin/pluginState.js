@@ -239,6 +239,8 @@ export class PluginState extends ServerCache {
       // Tell the engines about our new height:
       for (const engine of this.engines) {
         engine.onHeightUpdated(height)
+        // Coinbase outputs mature as blocks arrive:
+        engine.refreshBalanceBreakdown()
       }
     }
   }
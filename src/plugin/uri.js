@@ -11,6 +11,7 @@ import { serialize } from 'uri-js'
 import parse from 'url-parse'
 
 import { toNewFormat, validAddress } from '../utils/addressFormat.js'
+import { decodeSegwitAddress } from '../utils/bech32.js'
 import { verifyUriProtocol, verifyWIF } from '../utils/coinUtils.js'
 
 // import bcoin from 'bcoin'
@@ -25,6 +26,11 @@ const parsePathname = (pathname: string, network: string) => {
   const parsedAddress = {}
   let address = pathname
   let legacyAddress = ''
+  // Segwit addresses are often upper case to make QR codes smaller
+  try {
+    decodeSegwitAddress(address)
+    address = address.toLowerCase()
+  } catch (e) {}
   if (validAddress(address, network)) {
     parsedAddress.publicAddress = address
   } else {
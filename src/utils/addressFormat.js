@@ -1,6 +1,9 @@
 // @flow
 
 import bcoin from 'bcoin'
+import { type Buffer } from 'buffer'
+
+import { decodeSegwitAddress, encodeSegwitAddress } from './bech32.js'
 
 const changeAddressPrefix = (
   address: any,
@@ -91,8 +94,8 @@ export const validAddress = (address: string, network: string) => {
     if (prefix !== pubkeyhash && prefix !== scripthash) return false
   } catch (e) {
     try {
-      // verify address for bech32 format
-      const hrp = bcoin.utils.bech32.decode(address).hrp
+      // verify address for bech32 or bech32m format
+      const { hrp } = decodeSegwitAddress(address)
       const { bech32 } = addressPrefix
       if (hrp !== bech32) return false
     } catch (e) {
@@ -101,3 +104,46 @@ export const validAddress = (address: string, network: string) => {
   }
   return true
 }
+
+/**
+ * Encodes a BIP86 output key as a bech32m taproot address.
+ */
+export const toTaprootAddress = (outputKey: Buffer, network: string) => {
+  const { addressPrefix = {} } = bcoin.networks[network] || {}
+  return encodeSegwitAddress(addressPrefix.bech32, 1, outputKey)
+}
+
+/**
+ * Returns the witness program that a segwit v1+ address pays to,
+ * or null for any other kind of address.
+ * bcoin only knows the old bech32 checksum, so it can't parse these itself.
+ */
+export const decodeWitnessAddress = (
+  address: string,
+  network: string
+): { version: number, program: Buffer } | null => {
+  const { addressPrefix = {} } = bcoin.networks[network] || {}
+  try {
+    const { hrp, version, program } = decodeSegwitAddress(address)
+    if (hrp !== addressPrefix.bech32 || version === 0) return null
+    return { version, program }
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Renders a segwit v1+ output script as a bech32m address,
+ * or returns null for any other script.
+ */
+export const scriptToWitnessAddress = (
+  script: Buffer,
+  network: string
+): string | null => {
+  const { addressPrefix = {} } = bcoin.networks[network] || {}
+  const [op, length] = script
+  const version = op - 0x50
+  if (!addressPrefix.bech32 || version < 1 || version > 16) return null
+  if (length !== script.length - 2 || length < 2 || length > 40) return null
+  return encodeSegwitAddress(addressPrefix.bech32, version, script.slice(2))
+}
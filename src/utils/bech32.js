@@ -0,0 +1,138 @@
+// @flow
+
+import { Buffer } from 'buffer'
+
+export type SegwitAddress = {
+  hrp: string,
+  version: number,
+  program: Buffer
+}
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+const GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3]
+// BIP350 uses a different checksum constant for witness v1 and up
+const BECH32_CONST = 1
+const BECH32M_CONST = 0x2bc830a3
+
+const polymod = (values: Array<number>): number => {
+  let chk = 1
+  for (const value of values) {
+    const top = chk >>> 25
+    chk = ((chk & 0x1ffffff) << 5) ^ value
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= GENERATORS[i]
+    }
+  }
+  return chk >>> 0
+}
+
+const expandHrp = (hrp: string): Array<number> => {
+  const codes = hrp.split('').map(char => char.charCodeAt(0))
+  return [...codes.map(code => code >> 5), 0, ...codes.map(code => code & 31)]
+}
+
+const createChecksum = (
+  hrp: string,
+  data: Array<number>,
+  constant: number
+): Array<number> => {
+  const mod = polymod([...expandHrp(hrp), ...data, 0, 0, 0, 0, 0, 0]) ^ constant
+  const out = []
+  for (let i = 0; i < 6; i++) out.push((mod >>> (5 * (5 - i))) & 31)
+  return out
+}
+
+// Regroups `data` from `from` bit words into `to` bit words
+const convertBits = (
+  data: Array<number>,
+  from: number,
+  to: number,
+  pad: boolean
+): Array<number> => {
+  const maxValue = (1 << to) - 1
+  const out = []
+  let acc = 0
+  let bits = 0
+  for (const value of data) {
+    acc = (acc << from) | value
+    bits += from
+    while (bits >= to) {
+      bits -= to
+      out.push((acc >>> bits) & maxValue)
+    }
+    acc &= (1 << bits) - 1
+  }
+  if (pad) {
+    if (bits > 0) out.push((acc << (to - bits)) & maxValue)
+  } else if (bits >= from || acc) {
+    throw new Error('Invalid bech32 padding')
+  }
+  return out
+}
+
+/**
+ * Encodes a witness program as a segwit address.
+ * Version 0 uses the BIP173 bech32 checksum,
+ * while version 1 and up use the BIP350 bech32m checksum.
+ */
+export const encodeSegwitAddress = (
+  hrp: string,
+  version: number,
+  program: Buffer
+): string => {
+  const data = [version, ...convertBits([...program], 8, 5, true)]
+  const constant = version === 0 ? BECH32_CONST : BECH32M_CONST
+  const checksum = createChecksum(hrp, data, constant)
+  return `${hrp}1${[...data, ...checksum].map(n => CHARSET[n]).join('')}`
+}
+
+/**
+ * Decodes a bech32 or bech32m segwit address,
+ * checking that its checksum matches its witness version.
+ */
+export const decodeSegwitAddress = (address: string): SegwitAddress => {
+  if (address.length > 90) throw new Error('Address is too long')
+  const lower = address.toLowerCase()
+  if (address !== lower && address !== address.toUpperCase()) {
+    throw new Error('Address uses mixed case')
+  }
+  const split = lower.lastIndexOf('1')
+  if (split < 1 || split + 7 > lower.length) {
+    throw new Error('Invalid bech32 separator')
+  }
+  const hrp = lower.slice(0, split)
+  const data = lower
+    .slice(split + 1)
+    .split('')
+    .map(char => CHARSET.indexOf(char))
+  if (data.includes(-1)) throw new Error('Invalid bech32 character')
+
+  const [version, ...words] = data.slice(0, -6)
+  if (version == null || version > 16) {
+    throw new Error('Invalid witness version')
+  }
+  const constant = version === 0 ? BECH32_CONST : BECH32M_CONST
+  if (polymod([...expandHrp(hrp), ...data]) !== constant) {
+    throw new Error('Invalid bech32 checksum')
+  }
+  const program = Buffer.from(convertBits(words, 5, 8, false))
+  if (program.length < 2 || program.length > 40) {
+    throw new Error('Invalid witness program length')
+  }
+  if (version === 0 && program.length !== 20 && program.length !== 32) {
+    throw new Error('Invalid witness program length')
+  }
+  return { hrp, version, program }
+}
+
+/**
+ * The output script that pays a witness program, as hex.
+ */
+export const witnessProgramScript = (
+  version: number,
+  program: Buffer
+): string =>
+  Buffer.concat([
+    Buffer.from([version ? version + 0x50 : 0, program.length]),
+    program
+  ]).toString('hex')
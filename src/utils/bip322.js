@@ -0,0 +1,195 @@
+// @flow
+
+import { primitives, script } from 'bcoin'
+import { Buffer } from 'buffer'
+
+import { decodeWitnessAddress } from './addressFormat.js'
+import { addressToOutputScript } from './coinUtils.js'
+import { encodePushData, RawReader } from './rawTx.js'
+import { taggedHash } from './taproot.js'
+import { parseTimelockScript } from './timelocks.js'
+import { hash160, hash256Sync } from './utils.js'
+
+export type Bip322Format = 'simple' | 'full'
+
+const NULL_HASH = '00'.repeat(32)
+const OP_RETURN = '6a'
+// Sequences that leave the locktime enabled without enabling replacement
+const SEQUENCE_FINAL_LOCKTIME = 0xfffffffe
+
+/**
+ * The BIP322 hash of a message, which the signed transaction commits to.
+ */
+export const bip322MessageHash = (message: string): Buffer =>
+  taggedHash('BIP0322-signed-message', Buffer.from(message, 'utf8'))
+
+/**
+ * The virtual transaction that pays the message to the address's script.
+ */
+export const createToSpend = (message: string, outputScript: string): any => {
+  const messageHash = encodePushData(bip322MessageHash(message))
+  const toSpend = new primitives.MTX({ version: 0, locktime: 0 })
+  const input = toSpend.addInput({
+    prevout: { hash: NULL_HASH, index: 0xffffffff },
+    sequence: 0
+  })
+  input.script = script.fromRaw(Buffer.concat([Buffer.from([0]), messageHash]))
+  toSpend.addOutput(script.fromRaw(Buffer.from(outputScript, 'hex')), 0)
+  return toSpend.toTX()
+}
+
+/**
+ * The virtual transaction that spends `toSpend`, and carries the signature.
+ * Only full signatures can change the version, locktime or sequence.
+ */
+export const createToSign = (
+  toSpend: any,
+  { version = 0, locktime = 0, sequence = 0 }: Object = {}
+): any => {
+  const toSign = new primitives.MTX({ version, locktime })
+  toSign.addInput({
+    prevout: { hash: toSpend.hash('hex'), index: 0 },
+    sequence
+  })
+  toSign.addOutput(script.fromRaw(Buffer.from(OP_RETURN, 'hex')), 0)
+  toSign.view.addCoin(primitives.Coin.fromTX(toSpend, 0, -1))
+  return toSign
+}
+
+export const decodeWitnessStack = (data: Buffer): Array<string> => {
+  const reader = new RawReader(data)
+  const witness = []
+  for (let count = reader.readVarint(); count > 0; count--) {
+    witness.push(reader.readVarBytes().toString('hex'))
+  }
+  if (reader.left()) throw new Error('Unexpected data after the witness')
+  return witness
+}
+
+// Timelocked scripts only pass once the transaction sets the lock
+const getLocks = (key: any): Object => {
+  const timelock = key.script
+    ? parseTimelockScript(key.script.toRaw().toString('hex'))
+    : null
+  if (!timelock) return {}
+  return timelock.type === 'csv'
+    ? { version: 2, sequence: timelock.value }
+    : {
+        version: 2,
+        locktime: timelock.value,
+        sequence: SEQUENCE_FINAL_LOCKTIME
+      }
+}
+
+/**
+ * Signs a message for an address with BIP322.
+ * Simple signatures are only the witness, so they need a segwit address,
+ * while full signatures are the whole signed transaction.
+ * `sign` is the format selector's transaction signer.
+ */
+export const signBip322Message = async (
+  message: string,
+  address: string,
+  key: any,
+  format: Bip322Format,
+  sign: Function,
+  network: string
+): Promise<string> => {
+  if (format !== 'simple' && format !== 'full') {
+    throw new Error(`Unknown BIP322 format ${format}`)
+  }
+  if (decodeWitnessAddress(address, network)) {
+    throw new Error('BIP322 signatures for taproot addresses are unsupported')
+  }
+  const outputScript = addressToOutputScript(address, network)
+  const toSpend = createToSpend(message, outputScript.toRaw().toString('hex'))
+  const locks = getLocks(key)
+  if (format === 'simple' && locks.version) {
+    throw new Error('Timelocked addresses need a full BIP322 signature')
+  }
+  const { signedTx } = await sign(createToSign(toSpend, locks), [key])
+  const [input] = primitives.TX.fromRaw(signedTx, 'hex').inputs
+  if (!input.script.toRaw().length && !input.witness.items.length) {
+    throw new Error('Could not sign for this address')
+  }
+  if (format === 'full') return Buffer.from(signedTx, 'hex').toString('base64')
+
+  if (!input.witness.items.length) {
+    throw new Error('Legacy addresses need a full BIP322 signature')
+  }
+  return input.witness.toRaw().toString('base64')
+}
+
+// Nested segwit inputs push the program the address hashes,
+// which is all a simple signature leaves out
+const nestedProgram = async (witness: Array<string>): Promise<string> => {
+  const last = Buffer.from(witness[witness.length - 1], 'hex')
+  const program =
+    witness.length === 2 && last.length === 33
+      ? `0014${(await hash160(last)).toString('hex')}`
+      : `0020${hash256Sync(last).toString('hex')}`
+  return encodePushData(Buffer.from(program, 'hex')).toString('hex')
+}
+
+// Reads a full signature, or returns null if it isn't one for `toSpend`
+const parseFullSignature = (data: Buffer, toSpend: any): any => {
+  let toSign
+  try {
+    toSign = primitives.MTX.fromRaw(data)
+  } catch (e) {
+    return null
+  }
+  if (!toSign.toRaw().equals(data)) return null
+  const [input] = toSign.inputs
+  if (!input || input.prevout.hash !== toSpend.hash('hex')) return null
+  if (input.prevout.index !== 0) return null
+  return toSign
+}
+
+/**
+ * Checks a simple or full BIP322 signature against a legacy, P2SH
+ * or segwit v0 address.
+ * Taproot and invalid addresses never verify.
+ */
+export const verifyBip322Message = async (
+  message: string,
+  address: string,
+  signature: string,
+  network: string
+): Promise<boolean> => {
+  if (decodeWitnessAddress(address, network)) return false
+  let outputScript
+  try {
+    outputScript = addressToOutputScript(address, network)
+  } catch (e) {
+    return false
+  }
+  const toSpend = createToSpend(message, outputScript.toRaw().toString('hex'))
+  const data = Buffer.from(signature, 'base64')
+
+  let toSign = parseFullSignature(data, toSpend)
+  if (!toSign) {
+    let witness
+    try {
+      witness = decodeWitnessStack(data)
+    } catch (e) {
+      return false
+    }
+    if (!witness.length) return false
+    toSign = createToSign(toSpend)
+    const [input] = toSign.inputs
+    input.witness.fromArray(witness.map(item => Buffer.from(item, 'hex')))
+    if (outputScript.isScripthash()) {
+      const program = await nestedProgram(witness)
+      input.script = script.fromRaw(Buffer.from(program, 'hex'))
+    }
+  }
+  // Proofs of funds spend more coins, which we can't look up here
+  const { inputs, outputs } = toSign
+  if (inputs.length !== 1 || outputs.length !== 1) return false
+  const [output] = outputs
+  if (output.value !== 0) return false
+  if (output.script.toRaw().toString('hex') !== OP_RETURN) return false
+
+  return toSign.verifyInput(0, toSpend.outputs[0])
+}
@@ -0,0 +1,301 @@
+// @flow
+
+export type SelectionCoin = {
+  value: number,
+  // The virtual size the coin adds as an input
+  vsize: number,
+  // Coins in the same cluster were paid to the same address
+  cluster: string
+}
+
+export type SelectionTarget = {
+  // The total paid to the outputs
+  value: number,
+  // The virtual size of the transaction without inputs or change
+  vsize: number,
+  // The virtual sizes of a change output, and of spending it later
+  changeVsize: number,
+  changeSpendVsize: number,
+  // The fee rate in sat/KB
+  rate: number,
+  // The smallest change output worth creating
+  minChange: number
+}
+
+export type Selection = {
+  coins: Array<SelectionCoin>,
+  // Set when the leftover value goes to the fee instead of to change
+  changeless: boolean
+}
+
+export const COIN_SELECTIONS = [
+  'bnb',
+  'knapsack',
+  'minimize',
+  'consolidate',
+  'privacy'
+]
+
+const BNB_MAX_TRIES = 100000
+const KNAPSACK_ROUNDS = 1000
+
+const getFee = (rate: number, vsize: number): number =>
+  Math.ceil((rate * vsize) / 1000)
+
+// What a coin is worth once it pays for its own input
+const effectiveValue = (coin: SelectionCoin, rate: number): number =>
+  coin.value - getFee(rate, coin.vsize)
+
+const fundingError = (): Error => {
+  const error: Object = new Error('Not enough funds.')
+  error.type = 'FundingError'
+  return error
+}
+
+// The sums a selection has to reach, without and with a change output
+type Goals = { exact: number, change: number, minChange: number }
+
+/**
+ * Searches for a set of coins that pays for the outputs without
+ * needing change, wasting no more than `costOfChange` to the fee.
+ * Prefers the set with the smallest excess.
+ */
+const branchAndBound = (
+  values: Array<number>,
+  target: number,
+  costOfChange: number
+): Array<number> | null => {
+  // Try the biggest coins first, so overshooting branches get cut early
+  const order = values
+    .map((value, index) => index)
+    .sort((a, b) => values[b] - values[a])
+  const sorted = order.map(index => values[index])
+  const picked = []
+  let best = null
+  let bestExcess = Infinity
+  let tries = 0
+
+  const search = (depth: number, value: number, remaining: number) => {
+    if (++tries > BNB_MAX_TRIES || bestExcess === 0) return
+    if (value > target + costOfChange) return
+    if (value >= target) {
+      if (value - target < bestExcess) {
+        bestExcess = value - target
+        best = picked.slice()
+      }
+      return
+    }
+    if (depth === sorted.length || value + remaining < target) return
+
+    picked.push(order[depth])
+    search(depth + 1, value + sorted[depth], remaining - sorted[depth])
+    picked.pop()
+
+    // Leaving this coin out and taking an equal one next
+    // is a branch we just searched, so skip past those too
+    let next = depth + 1
+    let left = remaining - sorted[depth]
+    while (next < sorted.length && sorted[next] === sorted[depth]) {
+      left -= sorted[next++]
+    }
+    search(next, value, left)
+  }
+
+  const total = values.reduce((sum, value) => sum + value, 0)
+  search(0, 0, total)
+  return best
+}
+
+// Randomly searches for the subset of `values` closest to `target`
+const approximateBestSubset = (
+  values: Array<number>,
+  total: number,
+  target: number
+): { included: Array<boolean>, value: number } => {
+  let best = values.map(() => true)
+  let bestValue = total
+  for (let round = 0; round < KNAPSACK_ROUNDS; round++) {
+    if (bestValue === target) break
+    const included = values.map(() => false)
+    let value = 0
+    let reached = false
+    for (let pass = 0; pass < 2 && !reached; pass++) {
+      for (let i = 0; i < values.length; i++) {
+        if (pass === 0 ? Math.random() < 0.5 : included[i]) continue
+        value += values[i]
+        included[i] = true
+        if (value >= target) {
+          reached = true
+          if (value < bestValue) {
+            bestValue = value
+            best = included.slice()
+          }
+          value -= values[i]
+          included[i] = false
+        }
+      }
+    }
+  }
+  return { included: best, value: bestValue }
+}
+
+/**
+ * Bitcoin Core's knapsack solver, which picks either the smallest coin
+ * that covers the target, or the closest random subset of smaller coins.
+ */
+const knapsack = (
+  coins: Array<SelectionCoin>,
+  rate: number,
+  { exact, change, minChange }: Goals
+): Array<SelectionCoin> => {
+  const match = coins.find(coin => {
+    const value = effectiveValue(coin, rate)
+    return value === exact || value === change
+  })
+  if (match) return [match]
+
+  const smaller = coins
+    .filter(coin => effectiveValue(coin, rate) < change + minChange)
+    .sort((a, b) => effectiveValue(b, rate) - effectiveValue(a, rate))
+  const lowestLarger = coins
+    .filter(coin => effectiveValue(coin, rate) >= change + minChange)
+    .sort((a, b) => effectiveValue(a, rate) - effectiveValue(b, rate))[0]
+
+  const values = smaller.map(coin => effectiveValue(coin, rate))
+  const total = values.reduce((sum, value) => sum + value, 0)
+  if (total === exact || total === change) return smaller
+  if (total < change) {
+    if (lowestLarger) return [lowestLarger]
+    if (total >= exact) return smaller
+    throw fundingError()
+  }
+
+  let best = approximateBestSubset(values, total, change)
+  if (best.value !== change && total >= change + minChange) {
+    best = approximateBestSubset(values, total, change + minChange)
+  }
+  if (
+    lowestLarger &&
+    ((best.value !== change && best.value < change + minChange) ||
+      effectiveValue(lowestLarger, rate) <= best.value)
+  ) {
+    return [lowestLarger]
+  }
+  return smaller.filter((coin, i) => best.included[i])
+}
+
+// Takes coins in order until they cover the outputs
+const accumulate = (
+  coins: Array<SelectionCoin>,
+  rate: number,
+  { exact, change, minChange }: Goals
+): Array<SelectionCoin> => {
+  const chosen = []
+  let value = 0
+  for (const coin of coins) {
+    chosen.push(coin)
+    value += effectiveValue(coin, rate)
+    if (value === exact || value >= change + minChange) return chosen
+  }
+  if (value >= exact) return chosen
+  throw fundingError()
+}
+
+// Spends whole clusters, so no address is left partly spent
+const byCluster = (
+  coins: Array<SelectionCoin>,
+  rate: number,
+  goals: Goals
+): Array<SelectionCoin> => {
+  const clusters: { [cluster: string]: Array<SelectionCoin> } = {}
+  for (const coin of coins) {
+    if (!clusters[coin.cluster]) clusters[coin.cluster] = []
+    clusters[coin.cluster].push(coin)
+  }
+  const groups = Object.keys(clusters).map(cluster => ({
+    coins: clusters[cluster],
+    value: clusters[cluster].reduce(
+      (sum, coin) => sum + effectiveValue(coin, rate),
+      0
+    )
+  }))
+
+  // The smallest cluster that pays for everything on its own
+  const single = groups
+    .filter(({ value }) => value >= goals.change + goals.minChange)
+    .sort((a, b) => a.value - b.value)[0]
+  if (single) return single.coins
+
+  const chosen = []
+  let value = 0
+  for (const group of groups.sort((a, b) => b.value - a.value)) {
+    chosen.push(...group.coins)
+    value += group.value
+    if (value >= goals.change + goals.minChange) return chosen
+  }
+  if (value >= goals.exact) return chosen
+  throw fundingError()
+}
+
+/**
+ * Chooses the coins to fund a transaction with one of these strategies:
+ * - bnb: a changeless branch-and-bound match, falling back on knapsack
+ * - knapsack: Bitcoin Core's knapsack solver
+ * - minimize: as few inputs as possible
+ * - consolidate: the smallest coins first
+ * - privacy: avoids linking coins paid to different addresses
+ * Coins that cost more to spend than they are worth are never picked.
+ */
+export const selectCoins = (
+  strategy: string,
+  coins: Array<SelectionCoin>,
+  target: SelectionTarget
+): Selection => {
+  const { rate } = target
+  const usable = coins.filter(coin => effectiveValue(coin, rate) > 0)
+  const exact = target.value + getFee(rate, target.vsize)
+  const goals = {
+    exact,
+    change: exact + getFee(rate, target.changeVsize),
+    minChange: target.minChange
+  }
+  const byValue = (a, b) => effectiveValue(b, rate) - effectiveValue(a, rate)
+
+  switch (strategy) {
+    case 'bnb': {
+      const costOfChange = getFee(
+        rate,
+        target.changeVsize + target.changeSpendVsize
+      )
+      const picked = branchAndBound(
+        usable.map(coin => effectiveValue(coin, rate)),
+        exact,
+        costOfChange
+      )
+      if (picked) {
+        return { coins: picked.map(index => usable[index]), changeless: true }
+      }
+      return { coins: knapsack(usable, rate, goals), changeless: false }
+    }
+    case 'knapsack':
+      return { coins: knapsack(usable, rate, goals), changeless: false }
+    case 'minimize': {
+      const enough = usable
+        .filter(
+          coin => effectiveValue(coin, rate) >= goals.change + goals.minChange
+        )
+        .sort(byValue)
+      const single = enough[enough.length - 1]
+      if (single) return { coins: [single], changeless: false }
+      const coins = accumulate(usable.sort(byValue), rate, goals)
+      return { coins, changeless: false }
+    }
+    case 'consolidate': {
+      const smallest = usable.sort((a, b) => byValue(b, a))
+      return { coins: accumulate(smallest, rate, goals), changeless: false }
+    }
+    case 'privacy':
+      return { coins: byCluster(usable, rate, goals), changeless: false }
+  }
+  throw new Error(`Unknown coin selection ${strategy}`)
+}
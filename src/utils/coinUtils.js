@@ -12,15 +12,35 @@ import { Buffer } from 'buffer'
 
 import { type EngineState } from '../engine/engineState.js'
 import { logger } from '../utils/logger.js'
-import { toNewFormat } from './addressFormat.js'
+import {
+  decodeWitnessAddress,
+  scriptToWitnessAddress,
+  toNewFormat,
+  toTaprootAddress
+} from './addressFormat.js'
+import { COIN_SELECTIONS, selectCoins } from './coinSelection.js'
+import { parseDescriptors } from './descriptors.js'
+import {
+  type OpReturnData,
+  createOpReturnScript,
+  decodeOpReturnScript
+} from './opReturn.js'
+import { getTaprootOutputKey } from './taproot.js'
+import { getScriptType } from './txSize.js'
 import {
   hash256,
   hash256Sync,
   reverseBufferToHex,
+  secp256k1Recover,
   secp256k1Sign
 } from './utils.js'
 
 const RBF_SEQUENCE_NUM = 0xffffffff - 2
+const SEQUENCE_DISABLE = 0x80000000
+// BIP125 replacements must also pay for their own relay,
+// at the default incremental relay fee of 1 sat/vbyte:
+const INCREMENTAL_RELAY_FEE = 1000
+const DUST_LIMIT = 546
 const MESSAGE_HEADER = Buffer.from('\x18Bitcoin Signed Message:\n', 'utf8')
 
 export type RawTx = string
@@ -53,10 +73,21 @@ export type TxOptions = {
   utxos?: Array<Utxo>,
   setRBF?: boolean,
   RBFraw?: RawTx,
+  RBFcancel?: boolean,
   CPFP?: Txid,
   CPFPlimit?: number,
+  // One of bcoin's selections (value, age, random or all),
+  // or a strategy from coinSelection.js
   selection?: string,
-  subtractFee?: boolean
+  subtractFee?: boolean,
+  // Lock to the current height and use version 2, like Bitcoin Core
+  antiFeeSniping?: boolean,
+  // An nLockTime block height or unix time, replacing the
+  // anti-fee-sniping locktime
+  locktime?: number,
+  version?: number,
+  // The nSequence of particular inputs, by "txid:index" outpoint
+  sequences?: { [outpoint: string]: number }
 }
 
 export type CreateTxOptions = {
@@ -65,6 +96,8 @@ export type CreateTxOptions = {
   changeAddress: string,
   network: string,
   outputs?: Array<StandardOutput>,
+  // OP_RETURN payloads, as hex
+  opReturns?: Array<string>,
   height?: BlockHeight,
   estimate?: Function,
   txOptions: TxOptions
@@ -103,6 +136,61 @@ export const signBitcoinMessage = async (
   return signedMessage64
 }
 
+// Key types, as [nested, witness]
+const P2PKH = [false, false]
+const P2SH_P2WPKH = [true, true]
+const P2WPKH = [false, true]
+
+// Electrum and Trezor mark segwit keys in the signature header,
+// while plain compressed key headers can stand for any of them
+const messageKeyTypes = (header: number): Array<Array<boolean>> =>
+  header < 31
+    ? [P2PKH]
+    : header < 35
+    ? [P2PKH, P2SH_P2WPKH, P2WPKH]
+    : header < 39
+    ? [P2SH_P2WPKH]
+    : [P2WPKH]
+
+/**
+ * Checks a base64 message signature, as made by `signBitcoinMessage`,
+ * against a P2PKH, P2SH-P2WPKH or P2WPKH address.
+ */
+export const verifyBitcoinMessage = async (
+  message: string,
+  address: string,
+  signature: string,
+  network: string
+): Promise<boolean> => {
+  const signed = Buffer.from(signature, 'base64')
+  const header = signed[0]
+  if (signed.length !== 65 || header < 27 || header > 42) return false
+  const compressed = header >= 31
+  let publicKey
+  try {
+    publicKey = secp256k1Recover(
+      createBitcoinMessageSigHash(message),
+      signed.slice(1),
+      (header - 27) & 3,
+      compressed
+    )
+  } catch (e) {
+    return false
+  }
+  let target
+  try {
+    target = toNewFormat(address, network)
+  } catch (e) {
+    return false
+  }
+  for (const [nested, witness] of messageKeyTypes(header)) {
+    const key = await setKeyType({ publicKey }, nested, witness, network)
+    const derived = (await addressFromKey(key, network)).address
+    if (derived === target || derived === target.toLowerCase()) return true
+  }
+  return false
+}
+
 export const isCompressed = (key: any): boolean =>
   Buffer.isBuffer(key) &&
   key.length === 33 &&
@@ -114,11 +202,114 @@ export const keysFromEntropy = (
   opts: any = {}
 ) => {
   const { formats = [], keyPrefix = {} } = networks[network] || {}
-  return {
+  const keys: Object = {
     [`${network}Key`]: hd.Mnemonic.fromEntropy(entropy).getPhrase(),
     format: opts.format || formats[0] || 'bip44',
     coinType: opts.coinType || keyPrefix.coinType || 0
   }
+  if (opts.multisig) keys.multisig = opts.multisig
+  return keys
+}
+
+// SLIP-132 extended public key versions and the formats they stand for
+const SLIP132_VERSIONS = {
+  main: {
+    '0488b21e': 'bip44',
+    '049d7cb2': 'bip49',
+    '04b24746': 'bip84',
+    '0295b43f': 'bip48', // Ypub
+    '02aa7ed3': 'bip48' // Zpub
+  },
+  testnet: {
+    '043587cf': 'bip44',
+    '044a5262': 'bip49',
+    '045f1cf6': 'bip84',
+    '024289ef': 'bip48', // Upub
+    '02575483': 'bip48' // Vpub
+  }
+}
+
+/**
+ * Reads an xpub, ypub or zpub, detecting the wallet format from its version.
+ * Returns the key re-encoded with the network's own xpub version,
+ * which is the only one bcoin can load.
+ */
+export const parseExtendedPublicKey = (
+  key: string,
+  network: string,
+  defaultFormat?: string
+): { xpub: string, format: string } => {
+  const { formats = [], keyPrefix = {} } = networks[network] || {}
+  const data = Buffer.from(utils.base58.decode(key.trim()))
+  if (data.length !== 82) throw new Error('Invalid extended public key')
+  const payload = data.slice(0, -4)
+  const version = payload.readUInt32BE(0)
+  const versions =
+    keyPrefix.xpubkey === 0x043587cf
+      ? SLIP132_VERSIONS.testnet
+      : SLIP132_VERSIONS.main
+  let format = versions[version.toString(16).padStart(8, '0')]
+  let xpub = key.trim()
+
+  // A plain xpub can't tell us the format, so let the caller pick one
+  if (version === keyPrefix.xpubkey) {
+    format = defaultFormat || format || 'bip44'
+  } else {
+    if (!format) throw new Error('Unknown extended public key version')
+    const checksum = hash256Sync(hash256Sync(payload)).slice(0, 4)
+    if (!checksum.equals(data.slice(-4))) {
+      throw new Error('Invalid extended public key checksum')
+    }
+    payload.writeUInt32BE(keyPrefix.xpubkey, 0)
+    const newChecksum = hash256Sync(hash256Sync(payload)).slice(0, 4)
+    xpub = utils.base58.encode(Buffer.concat([payload, newChecksum]))
+  }
+  if (!formats.includes(format)) {
+    throw new Error(`This currency does not support ${format} wallets`)
+  }
+  // Throws if bcoin doesn't consider this a valid key for the network
+  hd.PublicKey.fromBase58(xpub, network)
+  return { xpub, format }
+}
+
+export const keysFromXpub = (key: string, network: string, opts: any = {}) => {
+  const { keyPrefix = {} } = networks[network] || {}
+  const { xpub, format } = parseExtendedPublicKey(key, network, opts.format)
+  return {
+    [`${network}Xpub`]: xpub,
+    format,
+    coinType: opts.coinType || keyPrefix.coinType || 0
+  }
+}
+
+export const keysFromDescriptor = (
+  input: string,
+  network: string,
+  opts: any = {}
+) => {
+  const { keyPrefix = {} } = networks[network] || {}
+  const descriptor = parseDescriptors(input)
+  const { fingerprint, path = '' } = descriptor
+  const { xpub, format } = parseExtendedPublicKey(
+    descriptor.xpub,
+    network,
+    descriptor.format
+  )
+  if (format !== descriptor.format) {
+    throw new Error('The key version does not match the descriptor type')
+  }
+  // Take the coin type from a standard m/purpose'/coinType'/account' origin
+  const coinTypeMatch = /^m\/\d+'\/(\d+)'\/\d+'(\/\d+')?$/.exec(path)
+  const keys: Object = {
+    [`${network}Xpub`]: xpub,
+    format,
+    coinType: coinTypeMatch
+      ? parseInt(coinTypeMatch[1])
+      : opts.coinType || keyPrefix.coinType || 0
+  }
+  if (fingerprint) keys.keyOrigin = { fingerprint, path }
+  if (descriptor.multisig) keys.multisig = descriptor.multisig
+  return keys
 }
 
 export const verifyWIF = (data: any, network: string) => {
@@ -154,12 +345,15 @@ export const setKeyType = async (
   nested: boolean,
   witness: boolean,
   network: string,
-  redeemScript?: string
+  redeemScript?: string,
+  segwitScript?: boolean = false
 ): Promise<any> => {
   let keyRing = {}
   if (redeemScript) {
-    nested = false
-    witness = false
+    if (!segwitScript) {
+      nested = false
+      witness = false
+    }
     keyRing = await primitives.KeyRing.fromScript(
       key.privateKey || key.publicKey,
       script.fromRaw(Buffer.from(redeemScript.replace(/^0x/, ''), 'hex')),
@@ -178,9 +372,187 @@ export const setKeyType = async (
   return keyRing
 }
 
+/**
+ * Funds a BIP125 replacement for `rawTx` at the given rate.
+ * The replacement spends the same coins and pays the same outputs,
+ * except for any change to `changeAddress`, which shrinks to cover the
+ * higher fee. Other confirmed coins get added if the change runs out.
+ * Cancelling drops every output, sending it all back to `changeAddress`.
+ */
+const fundReplacement = async (
+  mtx: any,
+  rawTx: RawTx,
+  coins: Array<any>,
+  changeAddress: any,
+  rate: number,
+  cancel: boolean,
+  estimate?: Function
+) => {
+  const original = primitives.TX.fromRaw(rawTx, 'hex')
+  if (!signalsRbf(original)) {
+    throw new Error('Transaction does not signal replace-by-fee')
+  }
+  const spends = (coin: any): boolean =>
+    original.inputs.some(
+      ({ prevout }) =>
+        prevout.rhash() === coin.rhash() && prevout.index === coin.index
+    )
+  const spentCoins = coins.filter(spends)
+  if (spentCoins.length !== original.inputs.length) {
+    throw new Error('Missing the coins spent by the transaction')
+  }
+  for (const coin of spentCoins) mtx.addCoin(coin)
+  const originalFee = mtx.getInputValue() - original.getOutputValue()
+
+  const changeScript = script.fromAddress(changeAddress)
+  for (const output of original.outputs) {
+    if (!cancel && !output.script.toRaw().equals(changeScript.toRaw())) {
+      mtx.addOutput(output.script, output.value)
+    }
+  }
+  const change = mtx.addOutput(changeScript, 0)
+  mtx.version = original.version
+  mtx.locktime = original.locktime
+
+  // Replacements may not add unconfirmed inputs:
+  const extraCoins = coins
+    .filter(coin => coin.height > 0 && !spends(coin))
+    .sort((a, b) => b.value - a.value)
+
+  while (true) {
+    const size = await mtx.estimateSize(estimate)
+    const fee = Math.max(
+      Math.ceil((rate * size) / 1000),
+      originalFee + Math.ceil((INCREMENTAL_RELAY_FEE * size) / 1000)
+    )
+    const value = mtx.getInputValue() - mtx.getOutputValue() - fee
+    if (value >= DUST_LIMIT) {
+      change.value = value
+      break
+    }
+    // Leave out the change if it would be dust:
+    if (value >= 0 && mtx.outputs.length > 1) {
+      mtx.outputs.splice(mtx.outputs.indexOf(change), 1)
+      break
+    }
+    const coin = extraCoins.shift()
+    if (!coin) {
+      const error: Object = new Error('Not enough funds to replace transaction')
+      error.type = 'FundingError'
+      throw error
+    }
+    mtx.addCoin(coin)
+  }
+
+  for (const input of mtx.inputs) {
+    input.sequence = RBF_SEQUENCE_NUM
+  }
+}
+
+const isUInt32 = (num: number): boolean =>
+  Number.isInteger(num) && num >= 0 && num <= 0xffffffff
+
+// Checks that the locktime and sequences of a transaction mean something
+const verifyLocks = (mtx: any) => {
+  if (mtx.version !== 1 && mtx.version !== 2) {
+    throw new Error(`Unsupported transaction version ${mtx.version}`)
+  }
+  const sequences = mtx.inputs.map(({ sequence }) => sequence)
+  if (mtx.locktime && sequences.every(sequence => sequence === 0xffffffff)) {
+    throw new Error('The locktime needs an input with a non-final sequence')
+  }
+  // BIP68 reads sequences without the disable flag as relative locktimes
+  const relative = sequences.some(sequence => !(sequence & SEQUENCE_DISABLE))
+  if (relative && mtx.version < 2) {
+    throw new Error('Relative locktimes need transaction version 2')
+  }
+}
+
+// Picks coins with one of the strategies in coinSelection.js,
+// along with the fee bcoin should charge for spending them
+const selectWithStrategy = async (
+  mtx: any,
+  coins: Array<any>,
+  selection: string,
+  rate: number,
+  changeScript: any,
+  subtractFee: boolean,
+  estimate?: Function
+): Promise<{ coins: Array<any>, fee: number, changeless: boolean }> => {
+  const sizeOf = (inputs: Array<any>, withChange: boolean): Promise<number> => {
+    const sized = mtx.clone()
+    for (const coin of inputs) sized.addCoin(coin)
+    if (withChange) sized.addOutput(changeScript, 0)
+    return sized.estimateSize(estimate)
+  }
+  const vsize = await sizeOf([], false)
+  const candidates = []
+  for (const coin of coins) {
+    candidates.push({
+      value: coin.value,
+      vsize: (await sizeOf([coin], false)) - vsize,
+      cluster: coin.script.toRaw().toString('hex')
+    })
+  }
+  const picked = selectCoins(selection, candidates, {
+    value: mtx.getOutputValue(),
+    vsize,
+    changeVsize: (await sizeOf([], true)) - vsize,
+    changeSpendVsize: candidates.length ? candidates[0].vsize : 0,
+    // The outputs pay the fee when subtracting it
+    rate: subtractFee ? 0 : rate,
+    minChange: DUST_LIMIT
+  })
+  const chosen = picked.coins.map(pick => coins[candidates.indexOf(pick)])
+
+  let { changeless } = picked
+  const getFee = async () =>
+    Math.ceil((rate * (await sizeOf(chosen, !changeless))) / 1000)
+  let fee = await getFee()
+  const inputValue = chosen.reduce((sum, coin) => sum + coin.value, 0)
+  const change = inputValue - mtx.getOutputValue() - (subtractFee ? 0 : fee)
+  // Don't pay for a change output that would be dust
+  if (!changeless && change < DUST_LIMIT) {
+    changeless = true
+    fee = await getFee()
+  }
+  return { coins: chosen, fee, changeless }
+}
+
+// Convert an address to the correct format that bcoin supports
+const toBcoinFormat = (address: string, network: string): string => {
+  const witness = decodeWitnessAddress(address, network)
+  if (witness) {
+    const { version, program } = witness
+    return primitives.Address.fromProgram(version, program, network)
+  }
+  try {
+    const { serializers = {} } = networks[network] || {}
+    if (serializers.address) address = serializers.address.decode(address)
+    else address = toNewFormat(address, network)
+  } catch (e) {}
+  return primitives.Address.fromString(address, network)
+}
+
+/**
+ * Creates the bcoin script that pays an address.
+ * bcoin only handles 20 and 32 byte witness programs,
+ * so any other segwit v1+ address gets paid with its program directly.
+ */
+export const addressToOutputScript = (
+  address: string,
+  network: string
+): any => {
+  const witness = decodeWitnessAddress(address, network)
+  return witness
+    ? script.fromProgram(witness.version, witness.program)
+    : script.fromAddress(toBcoinFormat(address, network))
+}
+
 export const createTX = async ({
   utxos,
   outputs = [],
+  opReturns = [],
   changeAddress,
   rate,
   height = -1,
@@ -189,25 +561,43 @@ export const createTX = async ({
   txOptions: {
     selection = 'value',
     RBFraw = '',
+    RBFcancel = false,
     CPFP = '',
     CPFPlimit = 1,
     subtractFee = false,
-    setRBF = false
+    setRBF = false,
+    antiFeeSniping = false,
+    locktime,
+    version,
+    sequences = {}
   }
 }: CreateTxOptions) => {
-  // Convert an address to the correct format that bcoin supports
-  const toBcoinFormat = (address: string, network: string): string => {
-    try {
-      const { serializers = {} } = networks[network] || {}
-      if (serializers.address) address = serializers.address.decode(address)
-      else address = toNewFormat(address, network)
-    } catch (e) {}
-    return primitives.Address.fromString(address, network)
+  const toCoin = ({ tx, index, height }: Utxo) => {
+    const coin = primitives.Coin.fromTX(tx, index, height)
+    const { serializers = {} } = networks[network] || {}
+    if (serializers.txHash) {
+      coin.hash = serializers.txHash(tx.toNormal().toString('hex'))
+    }
+    return coin
   }
 
   // Create the Mutable Transaction
   const mtx = new primitives.MTX()
 
+  // Replacements reuse the inputs and outputs of the original transaction
+  if (RBFraw !== '') {
+    await fundReplacement(
+      mtx,
+      RBFraw,
+      utxos.map(toCoin),
+      toBcoinFormat(changeAddress, network),
+      rate,
+      RBFcancel,
+      estimate
+    )
+    return mtx
+  }
+
   // Check for CPFP condition
   if (CPFP !== '') {
     utxos = utxos.filter(({ tx }) => tx.txid() === CPFP)
@@ -215,8 +605,7 @@ export const createTX = async ({
     if (!mtx.outputs || mtx.outputs.length === 0) {
       // Sort the UTXOs by size
       utxos = utxos.sort(
-        (a, b) =>
-          parseInt(b.tx.outputs[b.index]) - parseInt(a.tx.outputs[a.index])
+        (a, b) => b.tx.outputs[b.index].value - a.tx.outputs[a.index].value
       )
       // Try and get only the biggest UTXO unless the limit is 0 which means take all
       if (CPFPlimit) utxos = utxos.slice(0, CPFPlimit)
@@ -230,37 +619,60 @@ export const createTX = async ({
     }
   }
 
-  if (outputs.length === 0) {
+  if (outputs.length === 0 && opReturns.length === 0) {
     throw new Error('No outputs available.')
   }
 
   // Add the outputs
   outputs.forEach(({ address, value }) => {
-    const bcoinAddress = toBcoinFormat(address, network)
-    const addressScript = script.fromAddress(bcoinAddress)
-    mtx.addOutput(addressScript, value)
+    mtx.addOutput(addressToOutputScript(address, network), value)
   })
+  // Data outputs can't be spent, so they carry no value
+  for (const data of opReturns) {
+    const dataScript = createOpReturnScript(Buffer.from(data, 'hex'))
+    mtx.addOutput(script.fromRaw(Buffer.from(dataScript, 'hex')), 0)
+  }
 
   // Create coins
-  const coins = utxos.map(({ tx, index, height }) => {
-    const coin = primitives.Coin.fromTX(tx, index, height)
-    const { serializers = {} } = networks[network] || {}
-    if (serializers.txHash) {
-      coin.hash = serializers.txHash(tx.toNormal().toString('hex'))
-    }
-    return coin
-  })
+  let coins = utxos.map(toCoin)
+  const bcoinChangeAddress = toBcoinFormat(changeAddress, network)
+
+  // Our own strategies pick the coins and fee, then bcoin spends them all
+  let hardFee
+  let changeless = false
+  if (COIN_SELECTIONS.includes(selection)) {
+    const picked = await selectWithStrategy(
+      mtx,
+      coins,
+      selection,
+      rate,
+      script.fromAddress(bcoinChangeAddress),
+      subtractFee,
+      estimate
+    )
+    coins = picked.coins
+    hardFee = picked.fee
+    changeless = picked.changeless
+    selection = 'all'
+  }
 
   // Try to fund the transaction
   await mtx.fund(coins, {
     selection,
-    changeAddress: toBcoinFormat(changeAddress, network),
+    changeAddress: bcoinChangeAddress,
     subtractFee,
     height,
     rate,
+    hardFee,
     estimate
   })
 
+  // Changeless selections leave their excess to the miners
+  if (changeless && mtx.changeIndex !== -1) {
+    mtx.outputs.splice(mtx.changeIndex, 1)
+    mtx.changeIndex = -1
+  }
+
   // If TX is RBF mark is by changing the Inputs sequences
   if (setRBF) {
     for (const input of mtx.inputs) {
@@ -268,6 +680,25 @@ export const createTX = async ({
     }
   }
 
+  // Anti-fee-sniping locks to the current height unless told otherwise,
+  // so miners gain nothing by re-mining the last block
+  if (version != null) mtx.version = version
+  else if (antiFeeSniping) mtx.version = 2
+  if (locktime != null) {
+    if (!isUInt32(locktime)) throw new Error(`Invalid locktime ${locktime}`)
+    mtx.setLocktime(locktime)
+  } else if (antiFeeSniping && height > 0) {
+    mtx.avoidFeeSniping(height)
+  }
+  for (const input of mtx.inputs) {
+    const sequence =
+      sequences[`${input.prevout.rhash()}:${input.prevout.index}`]
+    if (sequence == null) continue
+    if (!isUInt32(sequence)) throw new Error(`Invalid sequence ${sequence}`)
+    input.sequence = sequence
+  }
+  verifyLocks(mtx)
+
   // Check consensus rules for inputs
   if (height !== -1 && !mtx.verifyInputs(height)) {
     throw new Error('TX failed context check.')
@@ -290,8 +721,11 @@ export const addressToScriptHash = (
   address: string,
   network: string
 ): Promise<string> => {
-  const addressObj = primitives.Address.fromString(address, network)
-  return Promise.resolve(script.fromAddress(addressObj).toRaw())
+  const witness = decodeWitnessAddress(address, network)
+  const addressScript = witness
+    ? script.fromProgram(witness.version, witness.program)
+    : script.fromAddress(primitives.Address.fromString(address, network))
+  return Promise.resolve(addressScript.toRaw())
     .then(scriptRaw => hash256(scriptRaw))
     .then(scriptHashRaw => reverseBufferToHex(scriptHashRaw))
 }
@@ -307,7 +741,7 @@ export const verifyTxAmount = (
 export const parseTransaction = (
   rawTx: string,
   bcoinTx: any = primitives.TX.fromRaw(rawTx, 'hex')
-) =>
+): any =>
   !bcoinTx.outputs.forEach(output => {
     output.scriptHash = reverseBufferToHex(hash256Sync(output.script.toRaw()))
   }) && bcoinTx
@@ -327,6 +761,16 @@ export const parseJsonTransaction = (txJson: Object): Object => {
   return bcoinTx
 }
 
+// Calculates the txid of a raw transaction, respecting custom hash functions
+export const getTxid = (rawTx: string, network: string): string => {
+  const bcoinTx = primitives.TX.fromRaw(rawTx, 'hex')
+  const { serializers = {} } = networks[network] || {}
+  if (serializers.txHash) {
+    bcoinTx._hash = serializers.txHash(bcoinTx.toNormal().toString('hex'))
+  }
+  return bcoinTx.rhash()
+}
+
 export const parsePath = (
   path: string = '',
   masterPath: string
@@ -352,7 +796,9 @@ export const addressFromKey = async (
   network: string
 ): Promise<{ address: string, scriptHash: string }> => {
   const { serializers = {} } = networks[network] || {}
-  const standardAddress = key.getAddress().toString()
+  const standardAddress = key.taproot
+    ? toTaprootAddress(getTaprootOutputKey(key.publicKey), network)
+    : key.getAddress().toString()
   let address = standardAddress
   if (serializers.address) address = serializers.address.encode(address)
   const scriptHash = await addressToScriptHash(standardAddress, network)
@@ -362,6 +808,19 @@ export const addressFromKey = async (
   }
 }
 
+// bcoin encodes segwit v1+ outputs with the old bech32 checksum
+const getOutputAddress = (output: any, network: string): string =>
+  scriptToWitnessAddress(output.script.toRaw(), network) ||
+  toNewFormat(output.getJSON(network).address, network)
+
+// Outputs that pay an address, including future segwit versions,
+// which bcoin considers nonstandard
+const isPayment = (output: any): boolean => {
+  const type = output.getType()
+  if (type === 'nonstandard') return output.script.isProgram()
+  return type !== 'nulldata'
+}
+
 export const sumTransaction = (
   bcoinTransaction: any,
   network: string,
@@ -374,20 +833,15 @@ export const sumTransaction = (
   let address = ''
   let value = 0
   let output = null
-  let type = null
 
   // Process tx outputs
   const outputsLength = bcoinTransaction.outputs.length
   for (let i = 0; i < outputsLength; i++) {
     output = bcoinTransaction.outputs[i]
-    type = output.getType()
-    if (type === 'nonstandard' || type === 'nulldata') {
-      continue
-    }
-    output = output.getJSON(network)
-    value = output.value
+    if (!isPayment(output)) continue
+    value = output.getJSON(network).value
     try {
-      address = toNewFormat(output.address, network)
+      address = getOutputAddress(output, network)
       const { serializers = {} } = networks[network] || {}
       address = serializers.address
         ? serializers.address.encode(address)
@@ -420,9 +874,9 @@ export const sumTransaction = (
       index = input.prevout.index
       prevoutBcoinTX = engineState.parsedTxs[hash]
       if (prevoutBcoinTX) {
-        output = prevoutBcoinTX.outputs[index].getJSON(network)
-        value = output.value
-        address = toNewFormat(output.address, network)
+        output = prevoutBcoinTX.outputs[index]
+        value = output.getJSON(network).value
+        address = getOutputAddress(output, network)
         const { serializers = {} } = networks[network] || {}
         address = serializers.address
           ? serializers.address.encode(address)
@@ -440,19 +894,79 @@ export const sumTransaction = (
 }
 
 export const filterOutputs = (outputs: Array<any>): Array<any> =>
-  outputs.filter(output => {
-    const type = output.getType()
-    return type !== 'nonstandard' && type !== 'nulldata'
-  })
+  outputs.filter(isPayment)
+
+/**
+ * Checks if a transaction opts into BIP125 replace-by-fee.
+ */
+export const signalsRbf = (bcoinTx: Object): boolean =>
+  bcoinTx.inputs.some(({ sequence }) => sequence <= RBF_SEQUENCE_NUM)
+
+/**
+ * Names the script an output pays to, such as 'p2wpkh' or 'nulldata'.
+ */
+export const getOutputScriptType = (output: Object): string => {
+  if (output.getType() === 'nulldata') return 'nulldata'
+  return getScriptType(output.script.toRaw().toString('hex')) || 'nonstandard'
+}
+
+/**
+ * Names the script an input spends,
+ * looking at the output it spends when we have it.
+ */
+export const getInputScriptType = (
+  input: Object,
+  prevOutput?: Object
+): string => {
+  if (input.isCoinbase()) return 'coinbase'
+  // Wrapped segwit inputs have both a scriptSig and a witness:
+  const { items } = input.witness
+  if (items.length && input.script.toRaw().length) {
+    return items.length === 2 && items[1].length === 33
+      ? 'p2sh-p2wpkh'
+      : 'p2sh-p2wsh'
+  }
+  if (prevOutput) return getOutputScriptType(prevOutput)
+  const address = input.getAddress()
+  if (!address) return 'nonstandard'
+  const outputScript = script.fromAddress(address)
+  return getScriptType(outputScript.toRaw().toString('hex')) || 'nonstandard'
+}
+
+/**
+ * Decodes the payloads of a transaction's OP_RETURN outputs.
+ */
+export const getOpReturns = (bcoinTx: Object): Array<OpReturnData> => {
+  const opReturns = []
+  for (const output of bcoinTx.outputs) {
+    if (output.getType() !== 'nulldata') continue
+    const data = decodeOpReturnScript(output.script.toRaw().toString('hex'))
+    if (data) opReturns.push(data)
+  }
+  return opReturns
+}
+
+/**
+ * The address an output pays, in display format,
+ * or null for outputs that don't pay an address.
+ */
+export const getDisplayAddress = (
+  output: Object,
+  network: string
+): string | null => {
+  const witnessAddress = scriptToWitnessAddress(output.script.toRaw(), network)
+  if (witnessAddress) return witnessAddress
+  const address = output.getAddress()
+  return address ? toNewFormat(address.toString(network), network) : null
+}
 
 export const getReceiveAddresses = (
   bcoinTx: Object,
   network: string
 ): Array<string> =>
-  filterOutputs(bcoinTx.outputs).map(output => {
-    const address = output.getAddress().toString(network)
-    return toNewFormat(address, network)
-  })
+  filterOutputs(bcoinTx.outputs).map(
+    output => getDisplayAddress(output, network) || ''
+  )
 
 export const bitcoinTimestampFromHeader = (header: Buffer): number => {
   if (header.length !== 80) {
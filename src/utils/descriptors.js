@@ -0,0 +1,285 @@
+// @flow
+
+import { type MultisigSettings, type MultisigType } from './multisig.js'
+
+export type KeyExpression = {
+  xpub: string,
+  fingerprint?: string,
+  path?: string
+}
+
+export type DescriptorKey = KeyExpression & {
+  format: string,
+  branches: Array<number>,
+  multisig?: MultisigSettings
+}
+
+// The script wrappers we know how to map onto a wallet format
+const SCRIPT_TYPES = [
+  { format: 'bip49', prefix: 'sh(wpkh(', suffix: '))' },
+  { format: 'bip84', prefix: 'wpkh(', suffix: ')' },
+  { format: 'bip44', prefix: 'pkh(', suffix: ')' }
+]
+const MULTISIG_WRAPPERS: { [type: MultisigType]: Array<string> } = {
+  'p2sh-p2wsh': ['sh(wsh(sortedmulti(', ')))'],
+  p2wsh: ['wsh(sortedmulti(', '))'],
+  p2sh: ['sh(sortedmulti(', '))']
+}
+
+const INPUT_CHARSET =
+  '0123456789()[],\'/*abcdefgh@:$%{}IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~ijklmnopqrstuvwxyzABCDEFGH`#"\\ '
+const CHECKSUM_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+// The 40 bit BIP380 generators, split into high and low words
+// since javascript bitwise operators only work on 32 bits
+const GENERATORS = [
+  [0xf5, 0xdee51989],
+  [0xa9, 0xfdca3312],
+  [0x1b, 0xab10e32d],
+  [0x37, 0x06b1677a],
+  [0x64, 0x4d626ffd]
+]
+
+const polymod = (symbols: Array<number>): number => {
+  let hi = 0
+  let lo = 1
+  for (const value of symbols) {
+    const top = hi >>> 3
+    hi = ((hi & 0x7) << 5) | (lo >>> 27)
+    lo = ((lo << 5) ^ value) >>> 0
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) {
+        hi ^= GENERATORS[i][0]
+        lo = (lo ^ GENERATORS[i][1]) >>> 0
+      }
+    }
+  }
+  return hi * 0x100000000 + lo
+}
+
+/**
+ * Calculates the 8 character BIP380 checksum of a descriptor.
+ */
+export const descriptorChecksum = (descriptor: string): string => {
+  const symbols = []
+  let groups = []
+  for (const char of descriptor) {
+    const value = INPUT_CHARSET.indexOf(char)
+    if (value === -1) throw new Error(`Invalid descriptor character ${char}`)
+    symbols.push(value & 31)
+    groups.push(value >> 5)
+    if (groups.length === 3) {
+      symbols.push(groups[0] * 9 + groups[1] * 3 + groups[2])
+      groups = []
+    }
+  }
+  if (groups.length === 1) symbols.push(groups[0])
+  if (groups.length === 2) symbols.push(groups[0] * 3 + groups[1])
+  const mod = polymod([...symbols, 0, 0, 0, 0, 0, 0, 0, 0])
+  // Flip the lowest bit without truncating to 32 bits like `^ 1` would
+  const checksum = mod % 2 ? mod - 1 : mod + 1
+  let out = ''
+  for (let i = 0; i < 8; i++) {
+    const shift = Math.pow(2, 5 * (7 - i))
+    out += CHECKSUM_CHARSET[Math.floor(checksum / shift) % 32]
+  }
+  return out
+}
+
+export const addDescriptorChecksum = (descriptor: string): string =>
+  `${descriptor}#${descriptorChecksum(descriptor)}`
+
+// Converts "84h/0'/0H" into "m/84'/0'/0'"
+const parseOriginPath = (steps: Array<string>): string => {
+  const path = steps.map(step => {
+    const match = /^(\d+)(['hH]?)$/.exec(step)
+    if (!match) throw new Error(`Invalid descriptor path element ${step}`)
+    return match[2] ? `${match[1]}'` : match[1]
+  })
+  return ['m', ...path].join('/')
+}
+
+// Parses the "<0;1>" or "0" step before the final wildcard
+const parseBranches = (step: string): Array<number> => {
+  const multipath = /^<(\d+);(\d+)>$/.exec(step)
+  const branches = multipath
+    ? [parseInt(multipath[1]), parseInt(multipath[2])]
+    : /^\d+$/.test(step)
+    ? [parseInt(step)]
+    : []
+  if (!branches.length || branches.some(branch => branch > 1)) {
+    throw new Error('Descriptors must derive from the receive or change branch')
+  }
+  return branches
+}
+
+// Splits "[fingerprint/path]xpub/0/*" into the key and its derivation steps
+const splitKeyExpression = (
+  expression: string
+): { key: KeyExpression, steps: Array<string> } => {
+  const key: KeyExpression = { xpub: '' }
+  if (expression.startsWith('[')) {
+    const end = expression.indexOf(']')
+    if (end === -1) throw new Error('Invalid descriptor key origin')
+    const [fingerprint, ...steps] = expression.slice(1, end).split('/')
+    if (!/^[0-9a-fA-F]{8}$/.test(fingerprint)) {
+      throw new Error('Invalid descriptor key fingerprint')
+    }
+    key.fingerprint = fingerprint.toLowerCase()
+    key.path = parseOriginPath(steps)
+    expression = expression.slice(end + 1)
+  }
+  const [xpub, ...steps] = expression.split('/')
+  key.xpub = xpub
+  return { key, steps }
+}
+
+// Parses an account key followed by "/0/*", returning the branches it uses
+const parseAccountKey = (
+  expression: string
+): { key: KeyExpression, branches: Array<number> } => {
+  const { key, steps } = splitKeyExpression(expression)
+  if (steps.length !== 2 || steps[1] !== '*') {
+    throw new Error(
+      'Descriptors must derive from an account key, like xpub/0/*'
+    )
+  }
+  return { key, branches: parseBranches(steps[0]) }
+}
+
+/**
+ * Parses a single key expression, like "[d34db33f/48h/0h/0h/2h]xpub...".
+ */
+export const parseKeyExpression = (expression: string): KeyExpression => {
+  const { key, steps } = splitKeyExpression(expression.trim())
+  if (steps.length) throw new Error('Expected a key without derivation steps')
+  return key
+}
+
+export const createKeyExpression = (key: KeyExpression): string => {
+  const { xpub, fingerprint, path = 'm' } = key
+  if (!fingerprint) return xpub
+  const origin = [fingerprint, ...path.split('/').slice(1)]
+    .join('/')
+    .replace(/'/g, 'h')
+  return `[${origin}]${xpub}`
+}
+
+const parseMultisigDescriptor = (body: string): DescriptorKey | null => {
+  const scriptType = Object.keys(MULTISIG_WRAPPERS).find(type => {
+    const [prefix, suffix] = MULTISIG_WRAPPERS[type]
+    return body.startsWith(prefix) && body.endsWith(suffix)
+  })
+  if (!scriptType) return null
+  const [prefix, suffix] = MULTISIG_WRAPPERS[scriptType]
+  const [threshold, ...expressions] = body
+    .slice(prefix.length, body.length - suffix.length)
+    .split(',')
+  const keys = expressions.map(parseAccountKey)
+  if (!keys.length) throw new Error('Multisig descriptors need keys')
+  const branches = keys[0].branches
+  if (keys.some(key => key.branches.join() !== branches.join())) {
+    throw new Error('Multisig keys must all derive the same branches')
+  }
+  return {
+    ...keys[0].key,
+    format: 'bip48',
+    branches,
+    multisig: {
+      threshold: parseInt(threshold),
+      scriptType,
+      cosigners: keys.map(({ key }) => createKeyExpression(key))
+    }
+  }
+}
+
+/**
+ * Parses a single `pkh()`, `sh(wpkh())`, `wpkh()` or `sortedmulti()`
+ * descriptor with account level extended keys, like `xpub/0/*`.
+ * The checksum is optional, but is verified if present.
+ */
+export const parseDescriptor = (descriptor: string): DescriptorKey => {
+  const [body, checksum] = descriptor.trim().split('#')
+  if (checksum != null && checksum !== descriptorChecksum(body)) {
+    throw new Error('Invalid descriptor checksum')
+  }
+  const multisig = parseMultisigDescriptor(body)
+  if (multisig) return multisig
+
+  const scriptType = SCRIPT_TYPES.find(
+    ({ prefix, suffix }) => body.startsWith(prefix) && body.endsWith(suffix)
+  )
+  if (!scriptType) throw new Error('Unsupported descriptor script type')
+  const { prefix, suffix } = scriptType
+  const { key, branches } = parseAccountKey(
+    body.slice(prefix.length, body.length - suffix.length)
+  )
+  const out: DescriptorKey = { ...key, format: scriptType.format, branches }
+  // Plain bip32 wallets derive their only branch from m/0
+  if (out.format === 'bip44' && out.path === 'm/0') out.format = 'bip32'
+  return out
+}
+
+/**
+ * Parses one or more whitespace separated descriptors,
+ * such as a receive and change pair, for the same account key.
+ */
+export const parseDescriptors = (input: string): DescriptorKey => {
+  const descriptors = input
+    .split(/\s+/)
+    .filter(descriptor => descriptor !== '')
+    .map(parseDescriptor)
+  if (!descriptors.length) throw new Error('No descriptors given')
+  const [first, ...rest] = descriptors
+  const branches = [...first.branches]
+  for (const descriptor of rest) {
+    if (
+      descriptor.format !== first.format ||
+      descriptor.xpub !== first.xpub ||
+      descriptor.fingerprint !== first.fingerprint ||
+      descriptor.path !== first.path ||
+      JSON.stringify(descriptor.multisig) !== JSON.stringify(first.multisig)
+    ) {
+      throw new Error('Descriptors must all belong to the same account')
+    }
+    branches.push(...descriptor.branches)
+  }
+  return {
+    ...first,
+    branches: branches.filter((b, i) => branches.indexOf(b) === i)
+  }
+}
+
+/**
+ * Creates a checksummed descriptor for one branch of an account.
+ */
+export const createDescriptor = (
+  key: KeyExpression & { format: string },
+  branch: number
+): string => {
+  const { format } = key
+  const scriptType =
+    format === 'bip32'
+      ? SCRIPT_TYPES[2]
+      : SCRIPT_TYPES.find(scriptType => scriptType.format === format)
+  if (!scriptType) throw new Error(`Unsupported format ${format}`)
+  const { prefix, suffix } = scriptType
+  return addDescriptorChecksum(
+    `${prefix}${createKeyExpression(key)}/${branch}/*${suffix}`
+  )
+}
+
+/**
+ * Creates a checksummed `sortedmulti()` descriptor
+ * for one branch of a multisig account.
+ */
+export const createMultisigDescriptor = (
+  multisig: { threshold: number, scriptType: MultisigType },
+  cosigners: Array<KeyExpression>,
+  branch: number
+): string => {
+  const [prefix, suffix] = MULTISIG_WRAPPERS[multisig.scriptType]
+  const keys = cosigners.map(key => `${createKeyExpression(key)}/${branch}/*`)
+  return addDescriptorChecksum(
+    `${prefix}${[multisig.threshold, ...keys].join(',')}${suffix}`
+  )
+}
@@ -0,0 +1,194 @@
+// @flow
+
+export type ExportFormat = 'csv' | 'ofx' | 'qbo'
+
+export type ExportRow = {
+  txid: string,
+  date: number, // Seconds
+  nativeAmount: string,
+  networkFee: string,
+  blockHeight: number,
+  confirmations: number,
+  // Who paid us, or who we paid
+  counterparties: Array<string>
+}
+
+export type ExportOptions = {
+  currencyCode: string,
+  // The multiplier of the denomination amounts are shown in
+  multiplier: string,
+  // Identifies the wallet to the accounting software
+  accountId: string,
+  // The balance once the last exported transaction went through
+  balance: string
+}
+
+export const EXPORT_FORMATS = ['csv', 'ofx', 'qbo']
+
+// QuickBooks only imports files from banks it knows,
+// so QBO files claim to come from a generic one
+const QBO_BANK_ID = '3000'
+
+/**
+ * Shows a native amount in a denomination, keeping every decimal
+ * so the columns line up.
+ */
+export const toDisplayAmount = (
+  nativeAmount: string,
+  multiplier: string
+): string => {
+  const negative = nativeAmount.startsWith('-')
+  const digits = negative ? nativeAmount.slice(1) : nativeAmount
+  const decimals = multiplier.length - 1
+  const padded = digits.padStart(decimals + 1, '0')
+  const whole = padded.slice(0, padded.length - decimals)
+  const fraction = padded.slice(padded.length - decimals)
+  const amount = decimals ? `${whole}.${fraction}` : whole
+  return negative && /[1-9]/.test(digits) ? `-${amount}` : amount
+}
+
+const escapeCsv = (field: string | number): string => {
+  const text = `${field}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const exportCsv = (
+  rows: Array<ExportRow>,
+  { currencyCode, multiplier }: ExportOptions
+): string => {
+  const header = [
+    'Date',
+    'Txid',
+    `Amount (${currencyCode})`,
+    `Fee (${currencyCode})`,
+    'Block Height',
+    'Confirmations',
+    'Counterparty Addresses'
+  ]
+  const lines = rows.map(row =>
+    [
+      new Date(row.date * 1000).toISOString(),
+      row.txid,
+      toDisplayAmount(row.nativeAmount, multiplier),
+      toDisplayAmount(row.networkFee, multiplier),
+      row.blockHeight,
+      row.confirmations,
+      row.counterparties.join(' ')
+    ]
+      .map(escapeCsv)
+      .join(',')
+  )
+  return [header.join(','), ...lines].join('\r\n') + '\r\n'
+}
+
+// OFX dates are UTC, as YYYYMMDDHHMMSS
+const ofxDate = (date: number): string =>
+  new Date(date * 1000).toISOString().replace(/[-:T]|\.\d+Z$/g, '')
+
+const escapeOfx = (text: string): string =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+
+const exportOfx = (
+  rows: Array<ExportRow>,
+  { currencyCode, multiplier, accountId, balance }: ExportOptions,
+  qbo: boolean
+): string => {
+  const start = rows.length ? rows[0].date : 0
+  const end = rows.length ? rows[rows.length - 1].date : 0
+  const transactions = rows.map(row => {
+    const amount = toDisplayAmount(row.nativeAmount, multiplier)
+    const memo = row.counterparties.join(' ')
+    return [
+      '<STMTTRN>',
+      `<TRNTYPE>${amount.startsWith('-') ? 'DEBIT' : 'CREDIT'}`,
+      `<DTPOSTED>${ofxDate(row.date)}`,
+      `<TRNAMT>${amount}`,
+      `<FITID>${row.txid}`,
+      `<NAME>${currencyCode}`,
+      memo ? `<MEMO>${escapeOfx(memo)}` : '',
+      '</STMTTRN>'
+    ]
+      .filter(line => line)
+      .join('\n')
+  })
+  const header = [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE'
+  ]
+  const body = [
+    '<OFX>',
+    '<SIGNONMSGSRSV1>',
+    '<SONRS>',
+    '<STATUS>',
+    '<CODE>0',
+    '<SEVERITY>INFO',
+    '</STATUS>',
+    `<DTSERVER>${ofxDate(end)}`,
+    '<LANGUAGE>ENG',
+    qbo ? `<INTU.BID>${QBO_BANK_ID}` : '',
+    '</SONRS>',
+    '</SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    '<STMTTRNRS>',
+    '<TRNUID>0',
+    '<STATUS>',
+    '<CODE>0',
+    '<SEVERITY>INFO',
+    '</STATUS>',
+    '<STMTRS>',
+    // OFX expects an ISO 4217 fiat code here, which crypto doesn't have,
+    // so this is our own currency code to match the amounts
+    `<CURDEF>${escapeOfx(currencyCode)}`,
+    '<BANKACCTFROM>',
+    `<BANKID>${qbo ? QBO_BANK_ID : escapeOfx(currencyCode)}`,
+    `<ACCTID>${escapeOfx(accountId)}`,
+    '<ACCTTYPE>CHECKING',
+    '</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(start)}`,
+    `<DTEND>${ofxDate(end)}`,
+    ...transactions,
+    '</BANKTRANLIST>',
+    '<LEDGERBAL>',
+    `<BALAMT>${toDisplayAmount(balance, multiplier)}`,
+    `<DTASOF>${ofxDate(end)}`,
+    '</LEDGERBAL>',
+    '</STMTRS>',
+    '</STMTTRNRS>',
+    '</BANKMSGSRSV1>',
+    '</OFX>'
+  ]
+    .filter(line => line)
+    .join('\n')
+  return `${header.join('\n')}\n\n${body}\n`
+}
+
+/**
+ * Renders transactions, oldest first, for spreadsheets (csv),
+ * or for accounting software (ofx, and qbo for QuickBooks).
+ */
+export const exportTransactions = (
+  rows: Array<ExportRow>,
+  format: ExportFormat,
+  options: ExportOptions
+): string => {
+  switch (format) {
+    case 'csv':
+      return exportCsv(rows, options)
+    case 'ofx':
+      return exportOfx(rows, options, false)
+    case 'qbo':
+      return exportOfx(rows, options, true)
+  }
+  throw new Error(`Unknown export format ${format}`)
+}
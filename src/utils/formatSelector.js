@@ -1,6 +1,6 @@
 // @flow
 
-import { consensus, hd, networks, primitives } from 'bcoin'
+import { hd, networks, primitives, script } from 'bcoin'
 import { Buffer } from 'buffer'
 
 import type { Script } from '../utils/coinUtils.js'
@@ -9,8 +9,25 @@ import {
   getPrivateFromSeed,
   setKeyType
 } from '../utils/coinUtils.js'
-
-const witScale = consensus.WITNESS_SCALE_FACTOR
+import { createKeyExpression } from '../utils/descriptors.js'
+import {
+  type MultisigSettings,
+  createMultisigScript
+} from '../utils/multisig.js'
+import { parseRawTx } from '../utils/rawTx.js'
+import {
+  getTaprootOutputKey,
+  schnorrSign,
+  taprootSighash,
+  tweakPrivateKey
+} from '../utils/taproot.js'
+import { parseTimelockScript } from '../utils/timelocks.js'
+import {
+  type InputInfo,
+  getScriptType,
+  inputScriptSize
+} from '../utils/txSize.js'
+import { hash160 } from '../utils/utils.js'
 
 export type DerivedAddress = {
   address: string,
@@ -25,21 +42,87 @@ export type Branches = {
 export type FormatSelector = {
   branches: Branches,
 
+  addScriptTemplate: Function,
   createMasterPath: Function,
   deriveAddress: Function,
   deriveHdKey: Function,
   deriveKeyRing: Function,
+  deriveMultisigAddress: Function,
   deriveScriptAddress: Function,
   estimateSize: Function,
+  getInputInfo: Function,
   getMasterKeys: Function,
   hasScript: Function,
   keysFromRaw: Function,
   parseSeed: Function,
+  publicKeyFromRaw: Function,
   setKeyType: Function,
-  sign: Function
+  sign: Function,
+  signInput: Function
 }
 
-export const SUPPORTED_BIPS = ['bip32', 'bip44', 'bip49', 'bip84']
+export const SUPPORTED_BIPS = [
+  'bip32',
+  'bip44',
+  'bip49',
+  'bip84',
+  'bip86',
+  'bip48'
+]
+
+// bcoin can't sign for taproot outputs, so we sign those ourselves
+const signTaprootInputs = (tx: any, keys: Array<any>) => {
+  const outputKeys = keys.map(key =>
+    getTaprootOutputKey(key.publicKey).toString('hex')
+  )
+  // Taproot signatures commit to every coin being spent
+  const prevouts = tx.inputs.map(input => {
+    const coin = tx.view.getOutput(input)
+    if (!coin) throw new Error('Missing coin for taproot signature')
+    return { value: coin.value, script: coin.script.toRaw().toString('hex') }
+  })
+  const rawTx = parseRawTx(tx.toRaw().toString('hex'))
+  tx.inputs.forEach((input, index) => {
+    const match = /^5120([0-9a-f]{64})$/.exec(prevouts[index].script)
+    const key = match ? keys[outputKeys.indexOf(match[1])] : null
+    if (!key) return
+    const hash = taprootSighash(rawTx, index, prevouts)
+    const signature = schnorrSign(hash, tweakPrivateKey(key.privateKey))
+    input.witness.fromArray([signature])
+  })
+}
+
+// bcoin only signs the script templates it knows, so timelocked
+// inputs get their signature and script pushed here
+const signTimelockInputs = (tx: any, keys: Array<any>) => {
+  tx.inputs.forEach((input, index) => {
+    const coin = tx.view.getOutput(input)
+    if (!coin) return
+    const key = keys.find(key =>
+      script
+        .fromAddress(key.getAddress())
+        .toRaw()
+        .equals(coin.script.toRaw())
+    )
+    if (!key) return
+    const redeemScript = key.script.toRaw()
+    const version = key.witness ? 1 : 0
+    const signature = tx.signature(
+      index,
+      key.script,
+      coin.value,
+      key.privateKey,
+      script.hashType.ALL,
+      version
+    )
+    if (!key.witness) {
+      input.script = script.fromArray([signature, redeemScript])
+      return
+    }
+    input.witness.fromArray([signature, redeemScript])
+    if (key.nested) input.script = script.fromArray([key.getProgram().toRaw()])
+  })
+}
 
 export const getAllKeyRings = (
   privateKeys: Array<string>,
@@ -47,7 +130,8 @@ export const getAllKeyRings = (
 ): Promise<any[]> => {
   const keysPromises = []
   const { formats, serializers = {} } = networks[network] || {}
-  for (const bip of formats) {
+  // Loose private keys can't be part of a multisig wallet
+  for (const bip of formats.filter(format => format !== 'bip48')) {
     for (const key of privateKeys) {
       const fSelector = formatSelector(bip, network)
       const standardKey = serializers.wif ? serializers.wif.decode(key) : key
@@ -71,42 +155,101 @@ export const getXPubFromSeed = async ({
   format = 'bip32',
   network = 'main',
   account = 0,
-  coinType = 0
+  coinType = 0,
+  multisig
 }: any) => {
   const masterKey = await getPrivateFromSeed(seed, network)
-  const fSelector = formatSelector(format, network)
+  const fSelector = formatSelector(format, network, multisig)
   const masterPath = fSelector.createMasterPath(account, coinType)
   const privateKey = await masterKey.derivePath(masterPath)
   const xpubKey = await privateKey.xpubkey()
   return xpubKey
 }
 
+/**
+ * Returns our multisig cosigner key, like "[fingerprint/path]xpub".
+ */
+export const getKeyExpressionFromSeed = async (opts: any) => {
+  const { seed, network = 'main', format, account = 0, coinType = 0 } = opts
+  const xpub = await getXPubFromSeed(opts)
+  const masterKey = await getPrivateFromSeed(seed, network)
+  const rootHash = await hash160(masterKey.publicKey)
+  const fSelector = formatSelector(format, network, opts.multisig)
+  return createKeyExpression({
+    xpub,
+    fingerprint: rootHash.slice(0, 4).toString('hex'),
+    path: fSelector.createMasterPath(account, coinType)
+  })
+}
+
 export const formatSelector = (
   format: string = 'bip32',
-  network: string = 'main'
+  network: string = 'main',
+  multisig?: MultisigSettings
 ): FormatSelector => {
   if (!SUPPORTED_BIPS.includes(format)) throw new Error('Unknown bip type')
   const bip = parseInt(format.split('bip')[1])
+  const { scriptType = '' } = multisig || {}
+  if (bip === 48 && !multisig) throw new Error('Missing multisig settings')
 
   const branches: Branches = { '0': 'receive' }
   if (bip !== 32) Object.assign(branches, { '1': 'change' })
-  const nested = bip === 49
-  const witness = bip === 49 || bip === 84
-  const { scriptTemplates = {} } = networks[network] || {}
-  for (const scriptName in scriptTemplates) {
-    const template = scriptTemplates[scriptName]()
+  const nested = bip === 49 || scriptType === 'p2sh-p2wsh'
+  const witness = bip === 49 || bip === 84 || scriptType.includes('p2wsh')
+  const taproot = bip === 86
+  // Multisig addresses come from the cosigners, not from templates
+  const scriptTemplates = {}
+  const addScriptTemplate = (scriptName: string, scriptTemplate: Function) => {
+    const template = scriptTemplate()
     const defaultScript = typeof template === 'function' ? template() : template
     const branchNum = parseInt(defaultScript.slice(-8), 16)
+    scriptTemplates[scriptName] = scriptTemplate
     branches[`${branchNum}`] = scriptName
+    return branchNum
+  }
+  const { scriptTemplates: networkTemplates = {} } = multisig
+    ? {}
+    : networks[network] || {}
+  for (const scriptName in networkTemplates) {
+    addScriptTemplate(scriptName, networkTemplates[scriptName])
   }
 
+  // Redeem scripts get wrapped in segwit on segwit wallets,
+  // and are plain P2SH everywhere else
   const setKeyTypeWrap = (key: any, redeemScript?: string) =>
-    setKeyType(key, nested, witness, network, redeemScript)
+    taproot && !redeemScript
+      ? setKeyType(key, false, false, network).then(keyRing =>
+          Object.assign(keyRing, { taproot })
+        )
+      : setKeyType(key, nested, witness, network, redeemScript, witness)
   const deriveHdKey = (parentKey: any, index: number): Promise<any> =>
     Promise.resolve(parentKey.derive(index))
 
+  // Describes how we sign for one of our outputs, for size estimates
+  const getInputInfo = (
+    prevScript: string,
+    redeemScript?: string
+  ): InputInfo => {
+    if (multisig) {
+      const { threshold, scriptType, cosigners } = multisig
+      return {
+        type: scriptType,
+        multisig: { threshold, keys: cosigners.length }
+      }
+    }
+    const type = getScriptType(prevScript)
+    if (type === 'p2sh') {
+      if (!redeemScript) return { type: 'p2sh-p2wpkh' }
+      return { type: witness ? 'p2sh-p2wsh' : type, redeemScript }
+    }
+    if (type === 'p2wsh') return { type, redeemScript }
+    return { type: type || 'p2pkh' }
+  }
+
   return {
     branches,
+    // Templates only some wallets use get their branch on demand
+    addScriptTemplate,
     setKeyType: setKeyTypeWrap,
 
     sign: (
@@ -119,6 +262,15 @@ export const formatSelector = (
           return tx.sign(keys, networks[network].replayProtection)
         })
         .then(() => {
+          const taprootKeys = keys.filter(key => key.taproot)
+          if (taprootKeys.length) signTaprootInputs(tx, taprootKeys)
+          const timelockKeys = keys.filter(
+            key =>
+              key.script &&
+              parseTimelockScript(key.script.toRaw().toString('hex'))
+          )
+          if (timelockKeys.length) signTimelockInputs(tx, timelockKeys)
+
           const { serializers = {} } = networks[network] || {}
           if (serializers.txHash) {
             tx._hash = serializers.txHash(tx.toNormal().toString('hex'))
@@ -127,6 +279,21 @@ export const formatSelector = (
           return { txid, signedTx: tx.toRaw().toString('hex') }
         }),
 
+    // Creates the signature for one input of a multisig transaction
+    signInput: (tx: any, index: number, key: any, value: number): string => {
+      const { replayProtection } = networks[network] || {}
+      const type = replayProtection || script.hashType.ALL
+      const signature = tx.signature(
+        index,
+        key.script,
+        value,
+        key.privateKey,
+        type,
+        witness ? 1 : 0
+      )
+      return signature.toString('hex')
+    },
+
     getMasterKeys: async (seed: string, masterPath: string, privKey?: any) => {
       if (!privKey) {
         const privateKey = await getPrivateFromSeed(seed, network)
@@ -152,12 +319,16 @@ export const formatSelector = (
         ? (seed: string) => Buffer.from(seed, 'base64').toString('hex')
         : (seed: string) => seed,
 
-    createMasterPath: (account: number, coinType: number) =>
-      bip === 32
-        ? 'm/0'
-        : `m/${bip}'/${
-            coinType >= 0 ? coinType : networks[network].keyPrefix.coinType
-          }'/${account}'`,
+    createMasterPath: (account: number, coinType: number) => {
+      if (bip === 32) return 'm/0'
+      // Multisig follows BIP45 for P2SH and BIP48 for everything else
+      if (bip === 48 && scriptType === 'p2sh') return "m/45'"
+      const path = `m/${bip}'/${
+        coinType >= 0 ? coinType : networks[network].keyPrefix.coinType
+      }'/${account}'`
+      if (bip === 48) return `${path}/${nested ? 1 : 2}'`
+      return path
+    },
 
     deriveHdKey,
     deriveAddress: (parentKey: any, index: number): Promise<any> =>
@@ -174,6 +345,23 @@ export const formatSelector = (
         setKeyTypeWrap(derivedKey, redeemScript)
       ),
 
+    deriveMultisigAddress: async (
+      parentKeys: Array<any>,
+      index: number
+    ): Promise<DerivedAddress> => {
+      if (!multisig) throw new Error('Missing multisig settings')
+      const childKeys = await Promise.all(
+        parentKeys.map(parentKey => deriveHdKey(parentKey, index))
+      )
+      const redeemScript = createMultisigScript(
+        multisig.threshold,
+        childKeys.map(key => key.publicKey.toString('hex'))
+      )
+      const typedKey = await setKeyTypeWrap(childKeys[0], redeemScript)
+      const address = await addressFromKey(typedKey, network)
+      return { ...address, redeemScript }
+    },
+
     deriveScriptAddress: async (
       parentKey: any,
       index: number,
@@ -197,6 +385,8 @@ export const formatSelector = (
       return { ...address, redeemScript }
     },
 
+    publicKeyFromRaw: (xpub: string) => hd.PublicKey.fromBase58(xpub, network),
+
     keysFromRaw: (rawKeys: any = {}) => {
       const keyRings = {}
       const branchesNames: Array<string> = ['master']
@@ -212,40 +402,9 @@ export const formatSelector = (
       return keyRings
     },
 
-    estimateSize: (prev: any) => {
-      const address = prev.getAddress()
-      if (!address) return -1
-
-      let size = 0
-
-      if (prev.isScripthash()) {
-        if (bip === 49) {
-          size += 23 // redeem script
-          size *= 4 // vsize
-          // Varint witness items length.
-          size += 1
-          // Calculate vsize
-          size = ((size + witScale - 1) / witScale) | 0
-          // witness portion
-          // OP_PUSHDATA0 [signature]
-          let witness = 1 + 73
-          // OP_PUSHDATA0 [key]
-          witness += 1 + 33
-          size += witness / witScale
-        }
-      }
-
-      // P2PKH
-      if (bip !== 49) {
-        // varint script size
-        size += 1
-        // OP_PUSHDATA0 [signature]
-        size += 1 + 73
-        // OP_PUSHDATA0 [key]
-        size += 1 + 33
-      }
-
-      return size || -1
-    }
+    getInputInfo,
+    // Used as bcoin's `estimate` callback
+    estimateSize: (prev: any, redeemScript?: string): number =>
+      inputScriptSize(getInputInfo(prev.toRaw().toString('hex'), redeemScript))
   }
 }
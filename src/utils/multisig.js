@@ -0,0 +1,76 @@
+// @flow
+
+export type MultisigType = 'p2sh' | 'p2wsh' | 'p2sh-p2wsh'
+
+export type MultisigSettings = {
+  threshold: number,
+  scriptType: MultisigType,
+  // Key expressions like "[fingerprint/path]xpub", our own key included
+  cosigners: Array<string>
+}
+
+export const MULTISIG_TYPES = ['p2sh', 'p2wsh', 'p2sh-p2wsh']
+// OP_1 through OP_16 are the only way we encode m and n
+const MAX_KEYS = 15
+const OP_CHECKMULTISIG = 'ae'
+
+const smallInt = (num: number): string => (0x50 + num).toString(16)
+
+export const validateMultisigSettings = (settings: MultisigSettings) => {
+  const { threshold, scriptType, cosigners = [] } = settings
+  if (!MULTISIG_TYPES.includes(scriptType)) {
+    throw new Error(`Unknown multisig script type ${scriptType}`)
+  }
+  if (cosigners.length > MAX_KEYS) {
+    throw new Error(`Multisig wallets can have at most ${MAX_KEYS} keys`)
+  }
+  if (
+    !Number.isInteger(threshold) ||
+    threshold < 1 ||
+    threshold > cosigners.length
+  ) {
+    throw new Error('Invalid multisig threshold')
+  }
+}
+
+/**
+ * Sorts compressed public keys as described by BIP67.
+ */
+export const sortPublicKeys = (publicKeys: Array<string>): Array<string> =>
+  [...publicKeys].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+
+/**
+ * Builds an m-of-n OP_CHECKMULTISIG script out of the BIP67 sorted keys.
+ */
+export const createMultisigScript = (
+  threshold: number,
+  publicKeys: Array<string>
+): string => {
+  const n = publicKeys.length
+  if (n > MAX_KEYS || threshold < 1 || threshold > n) {
+    throw new Error('Invalid multisig threshold')
+  }
+  const pushes = sortPublicKeys(publicKeys).map(key => {
+    if (key.length !== 66) throw new Error('Multisig keys must be compressed')
+    return `21${key}`
+  })
+  return `${smallInt(threshold)}${pushes.join('')}${smallInt(
+    n
+  )}${OP_CHECKMULTISIG}`
+}
+
+/**
+ * Reads the threshold and keys back out of an OP_CHECKMULTISIG script.
+ * Returns null for any other kind of script.
+ */
+export const parseMultisigScript = (
+  script: string
+): { threshold: number, publicKeys: Array<string> } | null => {
+  const match = /^5([1-9a-f])((?:21[0-9a-f]{66})+)5([1-9a-f])ae$/.exec(script)
+  if (!match) return null
+  const threshold = parseInt(match[1], 16)
+  const n = parseInt(match[3], 16)
+  const publicKeys = match[2].match(/21[0-9a-f]{66}/g) || []
+  if (publicKeys.length !== n || threshold > n) return null
+  return { threshold, publicKeys: publicKeys.map(push => push.slice(2)) }
+}
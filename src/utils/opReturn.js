@@ -0,0 +1,87 @@
+// @flow
+
+import { Buffer } from 'buffer'
+
+import { encodePushData, RawReader } from './rawTx.js'
+
+export type OpReturnData = {
+  hex: string,
+  utf8?: string
+}
+
+const OP_RETURN = 0x6a
+const OP_PUSHDATA1 = 0x4c
+const OP_PUSHDATA2 = 0x4d
+const OP_PUSHDATA4 = 0x4e
+// The largest payload that nodes will relay
+export const MAX_OP_RETURN_SIZE = 80
+
+// Rejects control characters other than whitespace
+const isPrintable = (text: string): boolean =>
+  !text.split('').some(char => {
+    const code = char.charCodeAt(0)
+    return (code < 0x20 && !'\t\n\r'.includes(char)) || code === 0x7f
+  })
+
+/**
+ * Reads the payload of an `opReturn` spend target.
+ * Even length hex strings are raw bytes, anything else is utf8 text.
+ */
+export const parseOpReturn = (opReturn: string): Buffer => {
+  const data = /^([0-9a-fA-F]{2})+$/.test(opReturn)
+    ? Buffer.from(opReturn, 'hex')
+    : Buffer.from(opReturn, 'utf8')
+  if (data.length > MAX_OP_RETURN_SIZE) {
+    throw new Error(`OP_RETURN data is over ${MAX_OP_RETURN_SIZE} bytes`)
+  }
+  return data
+}
+
+/**
+ * Creates the output script that carries `data`, as hex.
+ */
+export const createOpReturnScript = (data: Buffer): string =>
+  Buffer.concat([Buffer.from([OP_RETURN]), encodePushData(data)]).toString(
+    'hex'
+  )
+
+/**
+ * Decodes the data pushed by an OP_RETURN output script.
+ * Returns null for other scripts, or ones that do more than push data.
+ * Payloads that are printable text also come back as utf8.
+ */
+export const decodeOpReturnScript = (script: string): OpReturnData | null => {
+  const reader = new RawReader(Buffer.from(script, 'hex'))
+  if (!reader.left() || reader.readU8() !== OP_RETURN) return null
+  const pushes = []
+  try {
+    while (reader.left()) {
+      const op = reader.readU8()
+      const size =
+        op < OP_PUSHDATA1
+          ? op
+          : op === OP_PUSHDATA1
+          ? reader.readU8()
+          : op === OP_PUSHDATA2
+          ? reader.readBytes(2).readUInt16LE(0)
+          : op === OP_PUSHDATA4
+          ? reader.readU32()
+          : -1
+      if (size === -1) return null
+      pushes.push(reader.readBytes(size))
+    }
+  } catch (e) {
+    return null
+  }
+  const data = Buffer.concat(pushes)
+  const out: OpReturnData = { hex: data.toString('hex') }
+  const text = data.toString('utf8')
+  if (
+    data.length &&
+    Buffer.from(text, 'utf8').equals(data) &&
+    isPrintable(text)
+  ) {
+    out.utf8 = text
+  }
+  return out
+}
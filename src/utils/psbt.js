@@ -0,0 +1,537 @@
+// @flow
+
+import { primitives, script } from 'bcoin'
+import { Buffer } from 'buffer'
+
+import { getTxid } from './coinUtils.js'
+import { parseMultisigScript } from './multisig.js'
+import {
+  encodePushData,
+  encodeU32,
+  encodeU64,
+  encodeVarBytes,
+  encodeVarint,
+  RawReader
+} from './rawTx.js'
+
+const PSBT_MAGIC = '70736274ff'
+const HARDENED = 0x80000000
+
+// Global types:
+const GLOBAL_UNSIGNED_TX = 0x00
+// Input types:
+const IN_NON_WITNESS_UTXO = 0x00
+const IN_WITNESS_UTXO = 0x01
+const IN_PARTIAL_SIG = 0x02
+const IN_SIGHASH_TYPE = 0x03
+const IN_REDEEM_SCRIPT = 0x04
+const IN_WITNESS_SCRIPT = 0x05
+const IN_BIP32_DERIVATION = 0x06
+const IN_FINAL_SCRIPTSIG = 0x07
+const IN_FINAL_SCRIPTWITNESS = 0x08
+// Output types:
+const OUT_REDEEM_SCRIPT = 0x00
+const OUT_WITNESS_SCRIPT = 0x01
+const OUT_BIP32_DERIVATION = 0x02
+
+export type PsbtDerivation = {
+  pubkey: string,
+  fingerprint: string,
+  path: string
+}
+
+export type PsbtInput = {
+  nonWitnessUtxo?: string,
+  witnessUtxo?: { value: number, script: string },
+  partialSigs: { [pubkey: string]: string },
+  sighashType?: number,
+  redeemScript?: string,
+  witnessScript?: string,
+  bip32Derivation: Array<PsbtDerivation>,
+  finalScriptSig?: string,
+  finalScriptWitness?: Array<string>,
+  unknown: { [key: string]: string }
+}
+
+export type PsbtOutput = {
+  redeemScript?: string,
+  witnessScript?: string,
+  bip32Derivation: Array<PsbtDerivation>,
+  unknown: { [key: string]: string }
+}
+
+export type Psbt = {
+  tx: string, // The unsigned transaction in hex
+  unknown: { [key: string]: string },
+  inputs: Array<PsbtInput>,
+  outputs: Array<PsbtOutput>
+}
+
+const emptyInput = (): PsbtInput => ({
+  partialSigs: {},
+  bip32Derivation: [],
+  unknown: {}
+})
+
+const emptyOutput = (): PsbtOutput => ({
+  bip32Derivation: [],
+  unknown: {}
+})
+
+// ---------------------------------------------------------------------
+// Serialization helpers
+// ---------------------------------------------------------------------
+
+const encodePath = (fingerprint: string, path: string): Buffer => {
+  const parts = [Buffer.from(fingerprint, 'hex')]
+  for (const step of path.split('/').slice(1)) {
+    const hardened = step.endsWith("'") || step.endsWith('h')
+    const index = parseInt(step) + (hardened ? HARDENED : 0)
+    parts.push(encodeU32(index))
+  }
+  return Buffer.concat(parts)
+}
+
+const decodePath = (pubkey: Buffer, value: Buffer): PsbtDerivation => {
+  if (value.length % 4 !== 0 || value.length < 4) {
+    throw new Error('Invalid PSBT key path')
+  }
+  const reader = new RawReader(value)
+  const fingerprint = reader.readBytes(4).toString('hex')
+  let path = 'm'
+  while (reader.left()) {
+    const index = reader.readU32()
+    path += index >= HARDENED ? `/${index - HARDENED}'` : `/${index}`
+  }
+  return { pubkey: pubkey.toString('hex'), fingerprint, path }
+}
+
+const encodeWitness = (stack: Array<string>): Buffer =>
+  Buffer.concat([
+    encodeVarint(stack.length),
+    ...stack.map(item => encodeVarBytes(Buffer.from(item, 'hex')))
+  ])
+
+const decodeWitness = (value: Buffer): Array<string> => {
+  const reader = new RawReader(value)
+  const stack = []
+  const count = reader.readVarint()
+  for (let i = 0; i < count; i++) {
+    stack.push(reader.readVarBytes().toString('hex'))
+  }
+  return stack
+}
+
+const encodePair = (key: Buffer, value: Buffer): Buffer =>
+  Buffer.concat([encodeVarBytes(key), encodeVarBytes(value)])
+
+const hexPair = (type: number, value?: string): Array<Buffer> =>
+  typeof value === 'string'
+    ? [encodePair(Buffer.from([type]), Buffer.from(value, 'hex'))]
+    : []
+
+const derivationPairs = (
+  type: number,
+  derivations: Array<PsbtDerivation>
+): Array<Buffer> =>
+  derivations.map(({ pubkey, fingerprint, path }) =>
+    encodePair(
+      Buffer.concat([Buffer.from([type]), Buffer.from(pubkey, 'hex')]),
+      encodePath(fingerprint, path)
+    )
+  )
+
+const unknownPairs = (unknown: { [key: string]: string }): Array<Buffer> =>
+  Object.keys(unknown).map(key =>
+    encodePair(Buffer.from(key, 'hex'), Buffer.from(unknown[key], 'hex'))
+  )
+
+// Reads a key-value map, calling `onPair` for each entry:
+const readMap = (
+  reader: RawReader,
+  onPair: (type: number, keyData: Buffer, value: Buffer, key: Buffer) => void
+) => {
+  const seen = {}
+  while (true) {
+    const key = reader.readVarBytes()
+    if (key.length === 0) return
+    const keyHex = key.toString('hex')
+    if (seen[keyHex]) throw new Error('Duplicate key in PSBT')
+    seen[keyHex] = true
+    const value = reader.readVarBytes()
+    onPair(key[0], key.slice(1), value, key)
+  }
+}
+
+// ---------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------
+
+/**
+ * Creates an empty PSBT around an unsigned transaction.
+ */
+export const createPsbt = (unsignedTx: string): Psbt => {
+  const tx = primitives.TX.fromRaw(unsignedTx, 'hex')
+  for (const input of tx.inputs) {
+    if (input.script.toRaw().length || input.witness.items.length) {
+      throw new Error('PSBT transactions must be unsigned')
+    }
+  }
+  return {
+    tx: tx.toNormal().toString('hex'),
+    unknown: {},
+    inputs: tx.inputs.map(emptyInput),
+    outputs: tx.outputs.map(emptyOutput)
+  }
+}
+
+/**
+ * Parses a PSBT from either its base64 or its hex representation.
+ */
+export const decodePsbt = (data: string): Psbt => {
+  const raw = data.startsWith(PSBT_MAGIC)
+    ? Buffer.from(data, 'hex')
+    : Buffer.from(data, 'base64')
+  if (raw.slice(0, 5).toString('hex') !== PSBT_MAGIC) {
+    throw new Error('Invalid PSBT magic bytes')
+  }
+  const reader = new RawReader(raw.slice(5))
+
+  let tx
+  const psbt: Psbt = { tx: '', unknown: {}, inputs: [], outputs: [] }
+  readMap(reader, (type, keyData, value, key) => {
+    if (type === GLOBAL_UNSIGNED_TX && keyData.length === 0) {
+      psbt.tx = value.toString('hex')
+      tx = primitives.TX.fromRaw(value)
+    } else {
+      psbt.unknown[key.toString('hex')] = value.toString('hex')
+    }
+  })
+  if (!tx) throw new Error('PSBT is missing the unsigned transaction')
+
+  for (let i = 0; i < tx.inputs.length; i++) {
+    const input = emptyInput()
+    readMap(reader, (type, keyData, value, key) => {
+      const hex = value.toString('hex')
+      switch (type) {
+        case IN_NON_WITNESS_UTXO:
+          input.nonWitnessUtxo = hex
+          break
+        case IN_WITNESS_UTXO: {
+          const utxoReader = new RawReader(value)
+          input.witnessUtxo = {
+            value: utxoReader.readU64(),
+            script: utxoReader.readVarBytes().toString('hex')
+          }
+          break
+        }
+        case IN_PARTIAL_SIG:
+          input.partialSigs[keyData.toString('hex')] = hex
+          break
+        case IN_SIGHASH_TYPE:
+          input.sighashType = value.readUInt32LE(0)
+          break
+        case IN_REDEEM_SCRIPT:
+          input.redeemScript = hex
+          break
+        case IN_WITNESS_SCRIPT:
+          input.witnessScript = hex
+          break
+        case IN_BIP32_DERIVATION:
+          input.bip32Derivation.push(decodePath(keyData, value))
+          break
+        case IN_FINAL_SCRIPTSIG:
+          input.finalScriptSig = hex
+          break
+        case IN_FINAL_SCRIPTWITNESS:
+          input.finalScriptWitness = decodeWitness(value)
+          break
+        default:
+          input.unknown[key.toString('hex')] = hex
+      }
+    })
+    psbt.inputs.push(input)
+  }
+
+  for (let i = 0; i < tx.outputs.length; i++) {
+    const output = emptyOutput()
+    readMap(reader, (type, keyData, value, key) => {
+      const hex = value.toString('hex')
+      switch (type) {
+        case OUT_REDEEM_SCRIPT:
+          output.redeemScript = hex
+          break
+        case OUT_WITNESS_SCRIPT:
+          output.witnessScript = hex
+          break
+        case OUT_BIP32_DERIVATION:
+          output.bip32Derivation.push(decodePath(keyData, value))
+          break
+        default:
+          output.unknown[key.toString('hex')] = hex
+      }
+    })
+    psbt.outputs.push(output)
+  }
+
+  return psbt
+}
+
+/**
+ * Serializes a PSBT to base64.
+ */
+export const encodePsbt = (psbt: Psbt): string => {
+  const separator = Buffer.from([0])
+  const parts = [
+    Buffer.from(PSBT_MAGIC, 'hex'),
+    ...hexPair(GLOBAL_UNSIGNED_TX, psbt.tx),
+    ...unknownPairs(psbt.unknown),
+    separator
+  ]
+  for (const input of psbt.inputs) {
+    parts.push(...hexPair(IN_NON_WITNESS_UTXO, input.nonWitnessUtxo))
+    if (input.witnessUtxo) {
+      const { value, script } = input.witnessUtxo
+      const utxo = Buffer.concat([
+        encodeU64(value),
+        encodeVarBytes(Buffer.from(script, 'hex'))
+      ])
+      parts.push(encodePair(Buffer.from([IN_WITNESS_UTXO]), utxo))
+    }
+    for (const pubkey of Object.keys(input.partialSigs)) {
+      const key = Buffer.concat([
+        Buffer.from([IN_PARTIAL_SIG]),
+        Buffer.from(pubkey, 'hex')
+      ])
+      const sig = Buffer.from(input.partialSigs[pubkey], 'hex')
+      parts.push(encodePair(key, sig))
+    }
+    const { sighashType, finalScriptWitness } = input
+    if (typeof sighashType === 'number') {
+      const key = Buffer.from([IN_SIGHASH_TYPE])
+      parts.push(encodePair(key, encodeU32(sighashType)))
+    }
+    parts.push(...hexPair(IN_REDEEM_SCRIPT, input.redeemScript))
+    parts.push(...hexPair(IN_WITNESS_SCRIPT, input.witnessScript))
+    parts.push(...derivationPairs(IN_BIP32_DERIVATION, input.bip32Derivation))
+    parts.push(...hexPair(IN_FINAL_SCRIPTSIG, input.finalScriptSig))
+    if (finalScriptWitness) {
+      const key = Buffer.from([IN_FINAL_SCRIPTWITNESS])
+      parts.push(encodePair(key, encodeWitness(finalScriptWitness)))
+    }
+    parts.push(...unknownPairs(input.unknown), separator)
+  }
+  for (const output of psbt.outputs) {
+    parts.push(...hexPair(OUT_REDEEM_SCRIPT, output.redeemScript))
+    parts.push(...hexPair(OUT_WITNESS_SCRIPT, output.witnessScript))
+    parts.push(...derivationPairs(OUT_BIP32_DERIVATION, output.bip32Derivation))
+    parts.push(...unknownPairs(output.unknown), separator)
+  }
+  return Buffer.concat(parts).toString('base64')
+}
+
+/**
+ * Returns the output an input is spending, if the PSBT knows about it.
+ */
+export const getPsbtUtxo = (
+  psbt: Psbt,
+  index: number,
+  network: string
+): { value: number, script: string } | null => {
+  const { witnessUtxo, nonWitnessUtxo } = psbt.inputs[index]
+  if (witnessUtxo) return witnessUtxo
+  if (nonWitnessUtxo) {
+    const { prevout } = primitives.TX.fromRaw(psbt.tx, 'hex').inputs[index]
+    // Otherwise the PSBT could lie about how much the input is worth:
+    if (getTxid(nonWitnessUtxo, network) !== prevout.rhash()) {
+      throw new Error(`Input ${index} has the wrong previous transaction`)
+    }
+    const prevTx = primitives.TX.fromRaw(nonWitnessUtxo, 'hex')
+    const output = prevTx.outputs[prevout.index]
+    if (!output) return null
+    return {
+      value: output.value,
+      script: output.script.toRaw().toString('hex')
+    }
+  }
+  return null
+}
+
+// Creates a Bcoin Transaction instance from a PSBT,
+// loading the 'coins' (utxos) for every input the PSBT knows about
+export const parsePsbtTransaction = (psbt: Psbt, network: string): Object => {
+  const bcoinTx = primitives.MTX.fromRaw(Buffer.from(psbt.tx, 'hex'))
+  bcoinTx.inputs.forEach((input, i) => {
+    const utxo = getPsbtUtxo(psbt, i, network)
+    if (!utxo) return
+    const bcoinCoin = primitives.Coin.fromOptions({
+      hash: input.prevout.hash,
+      index: input.prevout.index,
+      value: utxo.value,
+      script: script.fromRaw(Buffer.from(utxo.script, 'hex')),
+      height: -1
+    })
+    bcoinTx.view.addCoin(bcoinCoin)
+  })
+  return bcoinTx
+}
+
+const isP2pkh = (script: string) => /^76a914[0-9a-f]{40}88ac$/.test(script)
+const isP2wpkh = (script: string) => /^0014[0-9a-f]{40}$/.test(script)
+const isP2sh = (script: string) => /^a914[0-9a-f]{40}87$/.test(script)
+const isP2wsh = (script: string) => /^0020[0-9a-f]{64}$/.test(script)
+
+const pushScript = (items: Array<string>): string =>
+  Buffer.concat(
+    items.map(item => encodePushData(Buffer.from(item, 'hex')))
+  ).toString('hex')
+
+/**
+ * Builds the final scripts for a P2SH, P2WSH or P2SH-P2WSH multisig input,
+ * using the signatures in the same order as the keys in the script.
+ */
+const finalizeMultisig = (
+  input: PsbtInput,
+  utxoScript: string
+): { finalScriptSig?: string, finalScriptWitness?: Array<string> } | null => {
+  const { redeemScript, witnessScript } = input
+  const multisig = parseMultisigScript(witnessScript || redeemScript || '')
+  if (!multisig) return null
+  const sigs = multisig.publicKeys
+    .map(pubkey => input.partialSigs[pubkey])
+    .filter(sig => sig != null)
+    .slice(0, multisig.threshold)
+  if (sigs.length < multisig.threshold) return null
+  // The extra empty item works around the OP_CHECKMULTISIG off-by-one bug
+  const stack = ['', ...sigs]
+
+  if (witnessScript) {
+    const finalScriptWitness = [...stack, witnessScript]
+    if (isP2wsh(utxoScript)) return { finalScriptWitness }
+    if (isP2sh(utxoScript) && redeemScript && isP2wsh(redeemScript)) {
+      return { finalScriptSig: pushScript([redeemScript]), finalScriptWitness }
+    }
+    return null
+  }
+  if (isP2sh(utxoScript) && redeemScript) {
+    return { finalScriptSig: pushScript([...stack, redeemScript]) }
+  }
+  return null
+}
+
+/**
+ * Builds the final scriptSig / witness for the input types we understand.
+ * Returns null if the input doesn't have everything it needs yet.
+ */
+const finalizeInput = (
+  input: PsbtInput,
+  utxoScript: string
+): { finalScriptSig?: string, finalScriptWitness?: Array<string> } | null => {
+  if (input.witnessScript || isP2wsh(utxoScript)) {
+    return finalizeMultisig(input, utxoScript)
+  }
+  if (input.redeemScript && !isP2wpkh(input.redeemScript)) {
+    return finalizeMultisig(input, utxoScript)
+  }
+
+  const pubkeys = Object.keys(input.partialSigs)
+  if (pubkeys.length !== 1) return null
+  const [pubkey] = pubkeys
+  const stack = [input.partialSigs[pubkey], pubkey]
+
+  if (isP2pkh(utxoScript)) return { finalScriptSig: pushScript(stack) }
+  if (isP2wpkh(utxoScript)) return { finalScriptWitness: stack }
+  if (isP2sh(utxoScript) && input.redeemScript) {
+    const { redeemScript } = input
+    if (isP2wpkh(redeemScript)) {
+      return {
+        finalScriptSig: pushScript([redeemScript]),
+        finalScriptWitness: stack
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Fills in the final scriptSig / witness for every input that has enough
+ * signatures, stripping the fields that are no longer needed.
+ */
+export const finalizePsbt = (psbt: Psbt, network: string): Psbt => {
+  const out: Psbt = JSON.parse(JSON.stringify(psbt))
+  out.inputs.forEach((input, i) => {
+    if (input.finalScriptSig != null || input.finalScriptWitness != null) {
+      return
+    }
+    const utxo = getPsbtUtxo(out, i, network)
+    if (!utxo) return
+    const final = finalizeInput(input, utxo.script)
+    if (!final) return
+    const { nonWitnessUtxo, witnessUtxo, unknown } = input
+    out.inputs[i] = {
+      ...emptyInput(),
+      nonWitnessUtxo,
+      witnessUtxo,
+      unknown,
+      ...final
+    }
+  })
+  return out
+}
+
+export const isPsbtFinalized = (psbt: Psbt): boolean =>
+  psbt.inputs.every(
+    input => input.finalScriptSig != null || input.finalScriptWitness != null
+  )
+
+/**
+ * Builds the network-ready transaction out of a finalized PSBT.
+ */
+export const extractPsbtTx = (psbt: Psbt): string => {
+  if (!isPsbtFinalized(psbt)) throw new Error('PSBT is not fully signed')
+  const tx = primitives.MTX.fromRaw(psbt.tx, 'hex')
+  tx.inputs.forEach((input, i) => {
+    const { finalScriptSig = '', finalScriptWitness = [] } = psbt.inputs[i]
+    input.script = script.fromRaw(Buffer.from(finalScriptSig, 'hex'))
+    input.witness.fromArray(
+      finalScriptWitness.map(item => Buffer.from(item, 'hex'))
+    )
+  })
+  return tx.toRaw().toString('hex')
+}
+
+/**
+ * Copies the final scripts of the inputs listed in `indexes`
+ * from a signed transaction into the PSBT.
+ */
+export const addSignaturesToPsbt = (
+  psbt: Psbt,
+  signedTx: string,
+  indexes: Array<number>
+): Psbt => {
+  const out: Psbt = JSON.parse(JSON.stringify(psbt))
+  const tx = primitives.TX.fromRaw(signedTx, 'hex')
+  const unsignedTx = primitives.MTX.fromRaw(signedTx, 'hex')
+  for (const input of unsignedTx.inputs) {
+    input.script = script.fromArray([])
+    input.witness.fromArray([])
+  }
+  if (unsignedTx.toNormal().toString('hex') !== out.tx) {
+    throw new Error('Signed transaction does not match the PSBT')
+  }
+  for (const i of indexes) {
+    const scriptSig = tx.inputs[i].script.toRaw().toString('hex')
+    const witness = tx.inputs[i].witness.items.map(item => item.toString('hex'))
+    if (scriptSig === '' && !witness.length) continue
+    const { nonWitnessUtxo, witnessUtxo, unknown } = out.inputs[i]
+    out.inputs[i] = {
+      ...emptyInput(),
+      nonWitnessUtxo,
+      witnessUtxo,
+      unknown,
+      finalScriptSig: scriptSig !== '' ? scriptSig : undefined,
+      finalScriptWitness: witness.length ? witness : undefined
+    }
+  }
+  return out
+}
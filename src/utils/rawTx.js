@@ -0,0 +1,162 @@
+// @flow
+
+import { Buffer } from 'buffer'
+
+import { reverseBufferToHex } from './utils.js'
+
+export type RawTxInput = {
+  hash: string, // Internal (little endian) byte order, like bcoin
+  txid: string, // Display (big endian) byte order
+  index: number,
+  script: string,
+  sequence: number,
+  witness: Array<string>
+}
+
+export type RawTxOutput = {
+  value: number,
+  script: string
+}
+
+export type RawTxData = {
+  version: number,
+  inputs: Array<RawTxInput>,
+  outputs: Array<RawTxOutput>,
+  locktime: number
+}
+
+/**
+ * Minimal reader for the Bitcoin wire format.
+ * Used where we need to look at raw bytes without going through bcoin.
+ */
+export class RawReader {
+  data: Buffer
+  offset: number
+
+  constructor(data: Buffer) {
+    this.data = data
+    this.offset = 0
+  }
+
+  left(): number {
+    return this.data.length - this.offset
+  }
+
+  readBytes(size: number): Buffer {
+    if (size > this.left()) throw new Error('Unexpected end of data')
+    const out = this.data.slice(this.offset, this.offset + size)
+    this.offset += size
+    return out
+  }
+
+  readU8(): number {
+    return this.readBytes(1).readUInt8(0)
+  }
+
+  readU32(): number {
+    return this.readBytes(4).readUInt32LE(0)
+  }
+
+  readU64(): number {
+    const bytes = this.readBytes(8)
+    return bytes.readUInt32LE(0) + bytes.readUInt32LE(4) * 0x100000000
+  }
+
+  readVarint(): number {
+    const first = this.readU8()
+    if (first < 0xfd) return first
+    if (first === 0xfd) return this.readBytes(2).readUInt16LE(0)
+    if (first === 0xfe) return this.readU32()
+    return this.readU64()
+  }
+
+  readVarBytes(): Buffer {
+    return this.readBytes(this.readVarint())
+  }
+}
+
+export const encodeVarint = (num: number): Buffer => {
+  if (num < 0xfd) return Buffer.from([num])
+  if (num <= 0xffff) {
+    const buf = Buffer.alloc(3)
+    buf.writeUInt8(0xfd, 0)
+    buf.writeUInt16LE(num, 1)
+    return buf
+  }
+  if (num <= 0xffffffff) {
+    const buf = Buffer.alloc(5)
+    buf.writeUInt8(0xfe, 0)
+    buf.writeUInt32LE(num, 1)
+    return buf
+  }
+  return Buffer.concat([Buffer.from([0xff]), encodeU64(num)])
+}
+
+export const encodeU32 = (num: number): Buffer => {
+  const buf = Buffer.alloc(4)
+  buf.writeUInt32LE(num >>> 0, 0)
+  return buf
+}
+
+export const encodeU64 = (num: number): Buffer => {
+  const buf = Buffer.alloc(8)
+  buf.writeUInt32LE(num % 0x100000000, 0)
+  buf.writeUInt32LE(Math.floor(num / 0x100000000), 4)
+  return buf
+}
+
+export const encodeVarBytes = (data: Buffer): Buffer =>
+  Buffer.concat([encodeVarint(data.length), data])
+
+// Encodes a data push using the smallest possible opcode
+export const encodePushData = (data: Buffer): Buffer => {
+  const len = data.length
+  if (len < 0x4c) return Buffer.concat([Buffer.from([len]), data])
+  if (len <= 0xff) return Buffer.concat([Buffer.from([0x4c, len]), data])
+  const lenBuf = Buffer.alloc(2)
+  lenBuf.writeUInt16LE(len, 0)
+  return Buffer.concat([Buffer.from([0x4d]), lenBuf, data])
+}
+
+export const parseRawTx = (rawTx: string): RawTxData => {
+  const reader = new RawReader(Buffer.from(rawTx, 'hex'))
+  const version = reader.readU32()
+  let inputCount = reader.readVarint()
+  let hasWitness = false
+  // Segwit marker and flag
+  if (inputCount === 0) {
+    if (reader.readU8() !== 1) throw new Error('Unknown transaction flag')
+    hasWitness = true
+    inputCount = reader.readVarint()
+  }
+  const inputs = []
+  for (let i = 0; i < inputCount; i++) {
+    const hashBuf = reader.readBytes(32)
+    inputs.push({
+      hash: hashBuf.toString('hex'),
+      txid: reverseBufferToHex(hashBuf),
+      index: reader.readU32(),
+      script: reader.readVarBytes().toString('hex'),
+      sequence: reader.readU32(),
+      witness: []
+    })
+  }
+  const outputCount = reader.readVarint()
+  const outputs = []
+  for (let i = 0; i < outputCount; i++) {
+    outputs.push({
+      value: reader.readU64(),
+      script: reader.readVarBytes().toString('hex')
+    })
+  }
+  if (hasWitness) {
+    for (const input of inputs) {
+      const itemCount = reader.readVarint()
+      for (let i = 0; i < itemCount; i++) {
+        input.witness.push(reader.readVarBytes().toString('hex'))
+      }
+    }
+  }
+  const locktime = reader.readU32()
+  return { version, inputs, outputs, locktime }
+}
@@ -0,0 +1,136 @@
+// @flow
+
+import BN from 'bn.js'
+import { Buffer } from 'buffer'
+import crypto from 'crypto'
+import secp256k1 from 'secp256k1'
+
+import {
+  type RawTxData,
+  type RawTxOutput,
+  encodeU32,
+  encodeU64,
+  encodeVarBytes
+} from './rawTx.js'
+import { hash256Sync } from './utils.js'
+
+const CURVE_ORDER = new BN(
+  'fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141',
+  16
+)
+// BIP341 key path spends sign everything with this implicit hash type
+const SIGHASH_DEFAULT = 0
+
+/**
+ * The BIP340 tagged hash, sha256(sha256(tag) || sha256(tag) || data).
+ */
+export const taggedHash = (tag: string, data: Buffer): Buffer => {
+  const tagHash = hash256Sync(Buffer.from(tag, 'utf8'))
+  return hash256Sync(Buffer.concat([tagHash, tagHash, data]))
+}
+
+// Makes a private key whose public key has an even y coordinate
+const evenPrivateKey = (privateKey: Buffer): Buffer =>
+  secp256k1.publicKeyCreate(privateKey, true)[0] === 0x03
+    ? secp256k1.privateKeyNegate(privateKey)
+    : privateKey
+
+// The BIP86 tweak, which commits to the key without any script tree
+const tapTweak = (xOnlyKey: Buffer): Buffer => taggedHash('TapTweak', xOnlyKey)
+
+/**
+ * Finds the x-only output key that a BIP86 wallet pays to,
+ * given the compressed internal public key.
+ */
+export const getTaprootOutputKey = (publicKey: Buffer): Buffer => {
+  const xOnlyKey = publicKey.slice(1, 33)
+  const evenKey = Buffer.concat([Buffer.from([0x02]), xOnlyKey])
+  const outputKey = secp256k1.publicKeyTweakAdd(
+    evenKey,
+    tapTweak(xOnlyKey),
+    true
+  )
+  return outputKey.slice(1)
+}
+
+/**
+ * Tweaks a private key so it can sign for its BIP86 output key.
+ */
+export const tweakPrivateKey = (privateKey: Buffer): Buffer => {
+  const xOnlyKey = secp256k1.publicKeyCreate(privateKey, true).slice(1)
+  return secp256k1.privateKeyTweakAdd(
+    evenPrivateKey(privateKey),
+    tapTweak(xOnlyKey)
+  )
+}
+
+/**
+ * Creates a BIP340 Schnorr signature.
+ * The auxiliary randomness is only there for testing.
+ */
+export const schnorrSign = (
+  hash: Buffer,
+  privateKey: Buffer,
+  aux: Buffer = crypto.randomBytes(32)
+): Buffer => {
+  const key = evenPrivateKey(privateKey)
+  const xOnlyKey = secp256k1.publicKeyCreate(key, true).slice(1)
+
+  const auxHash = taggedHash('BIP0340/aux', aux)
+  const masked = Buffer.from(key.map((byte, i) => byte ^ auxHash[i]))
+  const rand = taggedHash(
+    'BIP0340/nonce',
+    Buffer.concat([masked, xOnlyKey, hash])
+  )
+  if (!secp256k1.privateKeyVerify(rand)) throw new Error('Invalid nonce')
+  const nonce = evenPrivateKey(rand)
+  const noncePoint = secp256k1.publicKeyCreate(nonce, true).slice(1)
+
+  const challenge = new BN(
+    taggedHash('BIP0340/challenge', Buffer.concat([noncePoint, xOnlyKey, hash]))
+  ).umod(CURVE_ORDER)
+  const s = challenge
+    .mul(new BN(key))
+    .add(new BN(nonce))
+    .umod(CURVE_ORDER)
+  return Buffer.concat([noncePoint, s.toArrayLike(Buffer, 'be', 32)])
+}
+
+/**
+ * Calculates the BIP341 signature hash for a key path spend,
+ * which commits to every output being spent.
+ */
+export const taprootSighash = (
+  tx: RawTxData,
+  index: number,
+  prevouts: Array<RawTxOutput>
+): Buffer => {
+  const sha = (parts: Array<Buffer>) => hash256Sync(Buffer.concat(parts))
+  const message = Buffer.concat([
+    Buffer.from([0, SIGHASH_DEFAULT]),
+    encodeU32(tx.version),
+    encodeU32(tx.locktime),
+    sha(
+      tx.inputs.map(input =>
+        Buffer.concat([Buffer.from(input.hash, 'hex'), encodeU32(input.index)])
+      )
+    ),
+    sha(prevouts.map(({ value }) => encodeU64(value))),
+    sha(
+      prevouts.map(({ script }) => encodeVarBytes(Buffer.from(script, 'hex')))
+    ),
+    sha(tx.inputs.map(({ sequence }) => encodeU32(sequence))),
+    sha(
+      tx.outputs.map(({ value, script }) =>
+        Buffer.concat([
+          encodeU64(value),
+          encodeVarBytes(Buffer.from(script, 'hex'))
+        ])
+      )
+    ),
+    // Key path spend, without an annex
+    Buffer.from([0]),
+    encodeU32(index)
+  ])
+  return taggedHash('TapSighash', message)
+}
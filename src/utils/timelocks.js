@@ -0,0 +1,97 @@
+// @flow
+
+import { Buffer } from 'buffer'
+
+import { encodePushData } from './rawTx.js'
+
+export type Timelock = {
+  // Absolute (CHECKLOCKTIMEVERIFY) or relative (CHECKSEQUENCEVERIFY)
+  type: 'cltv' | 'csv',
+  value: number,
+  publicKey: string
+}
+
+const OP_CHECKSIGVERIFY = 'ad'
+const OP_CHECKLOCKTIMEVERIFY = 'b1'
+const OP_CHECKSEQUENCEVERIFY = 'b2'
+// Locktimes below this are block heights, the rest are unix times
+export const LOCKTIME_THRESHOLD = 500000000
+// The median time past that BIP113 checks lags behind the clock
+const MEDIAN_TIME_LAG = 2 * 60 * 60
+// Only block based relative locks fit in the low 16 bits of a sequence
+const MAX_CSV_BLOCKS = 0xffff
+
+// Encodes a positive number the way script pushes it
+const scriptNumber = (num: number): string => {
+  if (num === 0) return '00'
+  if (num <= 16) return (0x50 + num).toString(16)
+  const bytes = []
+  for (let rest = num; rest > 0; rest = Math.floor(rest / 256)) {
+    bytes.push(rest % 256)
+  }
+  // Keep the sign bit clear
+  if (bytes[bytes.length - 1] & 0x80) bytes.push(0)
+  return encodePushData(Buffer.from(bytes)).toString('hex')
+}
+
+const readScriptNumber = (hex: string): number | null => {
+  const op = parseInt(hex.slice(0, 2), 16)
+  if (hex.length === 2) return op > 0x50 && op <= 0x60 ? op - 0x50 : null
+  const bytes = Buffer.from(hex.slice(2), 'hex')
+  if (op !== bytes.length || op > 5 || bytes[op - 1] & 0x80) return null
+  const num = bytes.reduceRight((sum, byte) => sum * 256 + byte, 0)
+  return scriptNumber(num) === hex ? num : null
+}
+
+// <pubkey> OP_CHECKSIGVERIFY <value> OP_CHECKLOCKTIMEVERIFY/SEQUENCEVERIFY
+const timelockTemplate = (opcode: string, max: number) => (hdKey?: any) => (
+  params?: Array<string> = []
+): string => {
+  const value = Number(params[0] || 0)
+  // Without a key this is the bare template, which names its branch
+  if (hdKey && !(Number.isInteger(value) && value > 0 && value <= max)) {
+    throw new Error(`Invalid timelock ${params[0]}`)
+  }
+  const publicKey = hdKey ? hdKey.publicKey : Buffer.alloc(0)
+  const pushKey = encodePushData(publicKey).toString('hex')
+  return `${pushKey}${OP_CHECKSIGVERIFY}${scriptNumber(value)}${opcode}`
+}
+
+/**
+ * Script templates for coins that can't be spent until a block height
+ * or time (cltv), or until they are a number of blocks deep (csv).
+ * Takes the lock as its only parameter.
+ */
+export const timelockTemplates = {
+  cltv: timelockTemplate(OP_CHECKLOCKTIMEVERIFY, 0xffffffff),
+  csv: timelockTemplate(OP_CHECKSEQUENCEVERIFY, MAX_CSV_BLOCKS)
+}
+
+/**
+ * Reads the lock from a redeem or witness script made by `timelockTemplates`.
+ */
+export const parseTimelockScript = (script: string): Timelock | null => {
+  const match = /^21([0-9a-f]{66})ad([0-9a-f]+)(b1|b2)$/.exec(script)
+  if (!match) return null
+  const value = readScriptNumber(match[2])
+  if (!value) return null
+  const type = match[3] === OP_CHECKLOCKTIMEVERIFY ? 'cltv' : 'csv'
+  if (type === 'csv' && value > MAX_CSV_BLOCKS) return null
+  return { type, value, publicKey: match[1] }
+}
+
+/**
+ * Checks whether a timelocked coin can go in the next block,
+ * given the height it confirmed at and the current height.
+ */
+export const isTimelockMature = (
+  { type, value }: Timelock,
+  coinHeight: number,
+  height: number,
+  now: number = Date.now() / 1000
+): boolean => {
+  if (height <= 0) return false
+  if (type === 'csv') return coinHeight > 0 && height + 1 - coinHeight >= value
+  if (value < LOCKTIME_THRESHOLD) return value <= height
+  return value <= now - MEDIAN_TIME_LAG
+}
@@ -0,0 +1,62 @@
+// @flow
+
+export type TxSortKey = {
+  txid: string,
+  date: number, // Seconds
+  height: number // Zero or less while unconfirmed
+}
+
+// Unconfirmed transactions go ahead of confirmed ones from the same time
+const sortHeight = (height: number): number =>
+  height > 0 ? height : Number.MAX_SAFE_INTEGER
+
+/**
+ * Orders transactions from newest to oldest,
+ * falling back on the txid so the order never changes between calls.
+ */
+export const compareTxs = (a: TxSortKey, b: TxSortKey): number =>
+  b.date - a.date ||
+  sortHeight(b.height) - sortHeight(a.height) ||
+  (a.txid < b.txid ? -1 : a.txid > b.txid ? 1 : 0)
+
+// Finds the first position that doesn't pass `isBefore`
+const bisect = (
+  index: Array<TxSortKey>,
+  isBefore: (key: TxSortKey) => boolean
+): number => {
+  let low = 0
+  let high = index.length
+  while (low < high) {
+    const mid = (low + high) >>> 1
+    if (isBefore(index[mid])) low = mid + 1
+    else high = mid
+  }
+  return low
+}
+
+const findPosition = (index: Array<TxSortKey>, key: TxSortKey): number =>
+  bisect(index, other => compareTxs(other, key) < 0)
+
+/**
+ * Adds a transaction to a sorted index.
+ */
+export const insertTx = (index: Array<TxSortKey>, key: TxSortKey) => {
+  index.splice(findPosition(index, key), 0, key)
+}
+
+/**
+ * Takes a transaction back out of a sorted index,
+ * using the key it was inserted with.
+ */
+export const removeTx = (index: Array<TxSortKey>, key: TxSortKey) => {
+  const position = findPosition(index, key)
+  if (index[position] && index[position].txid === key.txid) {
+    index.splice(position, 1)
+  }
+}
+
+/**
+ * Finds the position of the first transaction older than `date`.
+ */
+export const findOlderTx = (index: Array<TxSortKey>, date: number): number =>
+  bisect(index, key => key.date >= date)
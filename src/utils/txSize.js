@@ -0,0 +1,141 @@
+// @flow
+
+export type ScriptType =
+  | 'p2pkh'
+  | 'p2sh'
+  | 'p2sh-p2wpkh'
+  | 'p2wpkh'
+  | 'p2sh-p2wsh'
+  | 'p2wsh'
+  | 'p2tr'
+
+export type InputInfo = {
+  type: ScriptType,
+  // The P2SH redeem script or P2WSH witness script, as hex
+  redeemScript?: string,
+  multisig?: { threshold: number, keys: number }
+}
+
+const WITNESS_SCALE = 4
+// Outpoint and sequence
+const INPUT_BASE_SIZE = 32 + 4 + 4
+// Version and locktime
+const TX_BASE_SIZE = 4 + 4
+// DER signature with the sighash byte
+const SIGNATURE_SIZE = 73
+const SCHNORR_SIGNATURE_SIZE = 64
+const PUBKEY_SIZE = 33
+
+const varintSize = (num: number): number =>
+  num < 0xfd ? 1 : num <= 0xffff ? 3 : num <= 0xffffffff ? 5 : 9
+
+// A single data push, including the push opcode
+const pushSize = (size: number): number =>
+  size + (size < 0x4c ? 1 : size <= 0xff ? 2 : size <= 0xffff ? 3 : 5)
+
+// A witness item, including its length prefix
+const itemSize = (size: number): number => size + varintSize(size)
+
+/**
+ * Finds the type of a previous output script, given as hex.
+ * Returns an empty string for scripts we don't know how to spend.
+ */
+export const getScriptType = (script: string): ScriptType | '' => {
+  if (/^76a914[0-9a-f]{40}88ac$/.test(script)) return 'p2pkh'
+  if (/^a914[0-9a-f]{40}87$/.test(script)) return 'p2sh'
+  if (/^0014[0-9a-f]{40}$/.test(script)) return 'p2wpkh'
+  if (/^0020[0-9a-f]{64}$/.test(script)) return 'p2wsh'
+  if (/^5120[0-9a-f]{64}$/.test(script)) return 'p2tr'
+  return ''
+}
+
+// The items needed to satisfy a redeem or witness script
+const scriptStack = (info: InputInfo): Array<number> => {
+  const { redeemScript = '', multisig } = info
+  if (multisig) {
+    // The m-of-n script, plus the empty item that CHECKMULTISIG eats
+    const scriptSize = 3 + (1 + PUBKEY_SIZE) * multisig.keys
+    const signatures = new Array(multisig.threshold).fill(SIGNATURE_SIZE)
+    return [0, ...signatures, scriptSize]
+  }
+  // Custom templates end with a CHECKSIG for our key
+  return [SIGNATURE_SIZE, redeemScript.length / 2]
+}
+
+// The scriptSig and witness of an input, in bytes
+const inputScripts = (info: InputInfo): { script: number, witness: number } => {
+  const sum = (items: Array<number>, size: number => number): number =>
+    items.reduce((total, item) => total + size(item), 0)
+  const witness = (items: Array<number>): number =>
+    varintSize(items.length) + sum(items, itemSize)
+  switch (info.type) {
+    case 'p2pkh':
+      return {
+        script: pushSize(SIGNATURE_SIZE) + pushSize(PUBKEY_SIZE),
+        witness: 0
+      }
+    case 'p2sh':
+      return { script: sum(scriptStack(info), pushSize), witness: 0 }
+    case 'p2sh-p2wpkh':
+      return {
+        script: pushSize(22),
+        witness: witness([SIGNATURE_SIZE, PUBKEY_SIZE])
+      }
+    case 'p2wpkh':
+      return { script: 0, witness: witness([SIGNATURE_SIZE, PUBKEY_SIZE]) }
+    case 'p2sh-p2wsh':
+      return { script: pushSize(34), witness: witness(scriptStack(info)) }
+    case 'p2wsh':
+      return { script: 0, witness: witness(scriptStack(info)) }
+    case 'p2tr':
+      // Key path spends only need a single signature
+      return { script: 0, witness: witness([SCHNORR_SIGNATURE_SIZE]) }
+  }
+  throw new Error(`Unknown script type ${info.type}`)
+}
+
+/**
+ * The weight of an input once it is signed.
+ * Doesn't include the empty witness that non-witness inputs need
+ * when the transaction has other witness inputs.
+ */
+export const inputWeight = (info: InputInfo): number => {
+  const { script, witness } = inputScripts(info)
+  const base = INPUT_BASE_SIZE + varintSize(script) + script
+  return base * WITNESS_SCALE + witness
+}
+
+/**
+ * The size, in vbytes, that an input adds on top of its
+ * outpoint and sequence. This is what bcoin's `estimate` callback returns.
+ */
+export const inputScriptSize = (info: InputInfo): number =>
+  inputWeight(info) / WITNESS_SCALE - INPUT_BASE_SIZE
+
+/**
+ * The weight of an output, given its script as hex.
+ */
+export const outputWeight = (script: string): number => {
+  const size = script.length / 2
+  return (8 + varintSize(size) + size) * WITNESS_SCALE
+}
+
+/**
+ * Estimates the virtual size of a signed transaction.
+ */
+export const estimateVsize = (
+  inputs: Array<InputInfo>,
+  outputs: Array<string>
+): number => {
+  const witnessInputs = inputs.filter(info => inputScripts(info).witness > 0)
+  let weight =
+    (TX_BASE_SIZE + varintSize(inputs.length) + varintSize(outputs.length)) *
+    WITNESS_SCALE
+  for (const info of inputs) weight += inputWeight(info)
+  for (const script of outputs) weight += outputWeight(script)
+  if (witnessInputs.length) {
+    // Segwit marker and flag, plus empty witnesses for the other inputs
+    weight += 2 + inputs.length - witnessInputs.length
+  }
+  return Math.ceil(weight / WITNESS_SCALE)
+}
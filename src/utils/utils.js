@@ -30,6 +30,15 @@ export async function secp256k1Sign(message: Buffer, key: Buffer) {
   return sigObj
 }
 
+export function secp256k1Recover(
+  message: Buffer,
+  signature: Buffer,
+  recovery: number,
+  compressed: boolean
+): Buffer {
+  return secp256k1.recover(message, signature, recovery, compressed)
+}
+
 export function hash256Sync(hex: any) {
   return crypto
     .createHash('sha256')
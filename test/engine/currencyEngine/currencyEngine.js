@@ -1,7 +1,7 @@
 // @flow
 
 import { assert } from 'chai'
-import { downgradeDisklet, navigateDisklet } from 'disklet'
+import { type Disklet, downgradeDisklet, navigateDisklet } from 'disklet'
 import {
   type EdgeCorePlugin,
   type EdgeCorePluginOptions,
@@ -15,13 +15,19 @@ import {
 import EventEmitter from 'events'
 import { readdirSync, statSync } from 'fs'
 import { readFileSync } from 'jsonfile'
-import { before, describe, it } from 'mocha'
+import { afterEach, before, beforeEach, describe, it } from 'mocha'
 import fetch from 'node-fetch'
 import { join } from 'path'
 import request from 'request'
 
 import edgeCorePlugins from '../../../src/index.js'
 import { logger } from '../../../src/utils/logger.js'
+import {
+  decodePsbt,
+  extractPsbtTx,
+  isPsbtFinalized
+} from '../../../src/utils/psbt.js'
+import { parseTimelockScript } from '../../../src/utils/timelocks.js'
 
 const fakeLogger = {
   info: () => {},
@@ -112,6 +118,41 @@ for (const dir of dirs(FIXTURES_FOLDER)) {
     userSettings: fixture.ChangeSettings
   }
 
+  // Gives every test in a describe block its own engine, loaded from
+  // the same cache, so tests that change the wallet leave the shared one alone:
+  let freshEngines = 0
+  const useFreshEngine = ({
+    addressData = dummyAddressData,
+    ...opts
+  }: Object = {}) => {
+    const fresh: { engine: EdgeCurrencyEngine, disklet: Disklet } = ({}: any)
+    beforeEach('Make a fresh engine', async function() {
+      const disklet = navigateDisklet(
+        fakeIo.disklet,
+        `freshEngine${++freshEngines}`
+      )
+      await disklet.setText('addresses.json', JSON.stringify(addressData))
+      await disklet.setText('txs.json', JSON.stringify(dummyTransactionsData))
+      await disklet.setText('headers.json', JSON.stringify(dummyHeadersData))
+      const { id, userSettings } = fixture['Make Engine']
+      fresh.disklet = disklet
+      fresh.engine = await plugin.makeCurrencyEngine(
+        { type: WALLET_TYPE, keys, id },
+        {
+          ...engineOpts,
+          walletLocalDisklet: disklet,
+          walletLocalEncryptedDisklet: disklet,
+          userSettings,
+          ...opts
+        }
+      )
+    })
+    afterEach('Stop the fresh engine', function() {
+      return fresh.engine.killEngine()
+    })
+    return fresh
+  }
+
   describe(`Engine Creation Errors for Wallet type ${WALLET_TYPE}`, function() {
     before('Plugin', async function() {
       assert.equal(
@@ -232,6 +273,26 @@ for (const dir of dirs(FIXTURES_FOLDER)) {
     })
   })
 
+  describe(`Cache upgrades for Wallet type ${WALLET_TYPE}`, function() {
+    const { heights } = dummyAddressData
+    const msHeights = {}
+    for (const txid of Object.keys(heights)) {
+      const { firstSeen } = heights[txid]
+      msHeights[txid] = { ...heights[txid], firstSeen: firstSeen * 1000 }
+    }
+    const fresh = useFreshEngine({
+      addressData: { ...dummyAddressData, heights: msHeights }
+    })
+
+    it('Reads first-seen times saved in milliseconds', async function() {
+      // $FlowFixMe
+      const { txHeightCache } = fresh.engine.engineState
+      for (const txid of Object.keys(heights)) {
+        assert.equal(txHeightCache[txid].firstSeen, heights[txid].firstSeen)
+      }
+    })
+  })
+
   describe(`Is Address Used for Wallet type ${WALLET_TYPE} from cache`, function() {
     const testCases = fixture['Address used from cache']
     const wrongFormat = testCases.wrongFormat || []
@@ -304,6 +365,95 @@ for (const dir of dirs(FIXTURES_FOLDER)) {
         done()
       })
     })
+
+    it('Sorts and pages through transactions', async function() {
+      const txs = await engine.getTransactions({})
+      const dates = txs.map(({ date }) => date)
+      assert.deepEqual(
+        dates,
+        [...dates].sort((a, b) => b - a)
+      )
+      const page = await engine.getTransactions({
+        startIndex: 2,
+        startEntries: 3
+      })
+      assert.deepEqual(
+        page.map(({ txid }) => txid),
+        txs.slice(2, 5).map(({ txid }) => txid)
+      )
+    })
+
+    it('Filters transactions by date and search', async function() {
+      const txs = await engine.getTransactions({})
+      const { date } = txs[txs.length - 1]
+      const older = await engine.getTransactions({
+        endDate: new Date((date + 1) * 1000)
+      })
+      assert.isAtLeast(older.length, 1)
+      for (const tx of older) assert.isAtMost(tx.date, date)
+      const newer = await engine.getTransactions({
+        startDate: new Date((date + 1) * 1000)
+      })
+      assert.equal(newer.length + older.length, txs.length)
+
+      const { txid } = txs[0]
+      const found = await engine.getTransactions({
+        searchString: txid.slice(0, 12).toUpperCase()
+      })
+      assert.deepEqual(
+        found.map(tx => tx.txid),
+        [txid]
+      )
+    })
+
+    it('Exports the history oldest first', async function() {
+      const { otherMethods = {} } = engine
+      const txs = await engine.getTransactions({})
+      const csv = await otherMethods.exportTransactions({ format: 'csv' })
+      const lines = csv.trim().split('\r\n')
+      assert.equal(lines.length, txs.length + 1)
+      assert.include(lines[1], txs[txs.length - 1].txid)
+      assert.include(lines[lines.length - 1], txs[0].txid)
+
+      const qbo = await otherMethods.exportTransactions({
+        format: 'qbo',
+        denomination: 'mTBTC'
+      })
+      assert.equal(qbo.split('<STMTTRN>').length, txs.length + 1)
+      assert.equal(
+        await otherMethods.exportTransactions({ format: 'csv' }),
+        csv
+      )
+      try {
+        await otherMethods.exportTransactions({ format: 'xls' })
+        assert.fail('Should throw')
+      } catch (e) {
+        assert.equal(e.message, 'Unknown export format xls')
+      }
+    })
+  })
+
+  describe(`Transaction details for Wallet type ${WALLET_TYPE}`, function() {
+    const fresh = useFreshEngine()
+
+    it('Describes inputs, outputs and sizes', async function() {
+      const [tx] = await fresh.engine.getTransactions({})
+      const { otherParams = {} } = tx
+      const { inputs, outputs, vsize, weight, confirmations } = otherParams
+      assert.isAbove(inputs.length, 0)
+      assert.isAbove(outputs.length, 0)
+      assert.equal(vsize, Math.ceil(weight / 4))
+      assert.isAtLeast(confirmations, 0)
+      assert.isBoolean(otherParams.rbf)
+      assert.isNumber(otherParams.locktime)
+      for (const output of outputs) {
+        assert.isString(output.scriptType)
+        if (output.isOurs) {
+          assert.include(tx.ourReceiveAddresses, output.address)
+          assert.isString(output.path)
+        }
+      }
+    })
   })
 
   describe('Should Add Gap Limit Addresses', function() {
@@ -441,6 +591,600 @@ for (const dir of dirs(FIXTURES_FOLDER)) {
     })
   })
 
+  describe(`PSBT signing for Wallet type ${WALLET_TYPE}`, function() {
+    const fresh = useFreshEngine()
+
+    it('Signs and broadcasts through a PSBT', async function() {
+      const edgeTransaction = await fresh.engine.makeSpend({
+        networkFeeOption: 'standard',
+        spendTargets: [
+          {
+            currencyCode: 'TBTC',
+            publicAddress: '2MutAAY6tW2HEyrhSadT1aQhP4KdCAKkC74',
+            nativeAmount: '100000'
+          }
+        ],
+        otherParams: { createPsbt: true }
+      })
+      const { otherParams = {} } = edgeTransaction
+      assert.isFalse(isPsbtFinalized(decodePsbt(otherParams.psbt)))
+
+      const signed = await fresh.engine.signTx(edgeTransaction)
+      const psbt = decodePsbt(signed.otherParams.psbt)
+      assert.isTrue(isPsbtFinalized(psbt))
+      assert.equal(signed.signedTx, extractPsbtTx(psbt))
+
+      // A PSBT finalized elsewhere arrives without the signed transaction:
+      // $FlowFixMe
+      const { engineState, pluginState } = fresh.engine
+      const { broadcastTx } = engineState
+      const { disableFetchingServers } = pluginState
+      const sent = []
+      engineState.broadcastTx = rawTx => {
+        sent.push(rawTx)
+        return Promise.resolve(signed.txid)
+      }
+      pluginState.disableFetchingServers = true
+      let broadcast
+      try {
+        broadcast = await fresh.engine.broadcastTx({
+          ...signed,
+          signedTx: '',
+          txid: ''
+        })
+      } finally {
+        engineState.broadcastTx = broadcastTx
+        pluginState.disableFetchingServers = disableFetchingServers
+      }
+      assert.deepEqual(sent, [signed.signedTx])
+      assert.equal(broadcast.txid, signed.txid)
+    })
+  })
+
+  describe(`Coin Control for Wallet type ${WALLET_TYPE}`, function() {
+    const outpoint =
+      'e1d703801f2f64400cc98d9a2e7b6a4bcb304ff9e718685b9932c0d46cd124b3:0'
+    const spendInfo = {
+      networkFeeOption: 'standard',
+      spendTargets: [
+        {
+          currencyCode: 'TBTC',
+          publicAddress: '2MutAAY6tW2HEyrhSadT1aQhP4KdCAKkC74',
+          nativeAmount: '100000'
+        }
+      ],
+      otherParams: { utxos: [outpoint] }
+    }
+    const fresh = useFreshEngine()
+
+    it('Lists our UTXOs', async function() {
+      const { otherMethods = {} } = fresh.engine
+      const utxos = await otherMethods.listUtxos()
+      const utxo = utxos.find(utxo => utxo.outpoint === outpoint)
+      assert.deepInclude(utxo, {
+        nativeAmount: '130000000',
+        address: '2N4PTzVCAor474BG9ZwHapH5FNZNzRusCrQ',
+        path: "m/49'/0'/0'/1/9",
+        frozen: false
+      })
+    })
+
+    it('Spends only the selected UTXOs', async function() {
+      const { otherParams = {} } = await fresh.engine.makeSpend(spendInfo)
+      const { inputs } = otherParams.txJson
+      assert.equal(inputs.length, 1)
+      const { hash, index } = inputs[0].prevout
+      assert.equal(`${hash}:${index}`, outpoint)
+    })
+
+    it('Refuses to spend frozen UTXOs', async function() {
+      const { otherMethods = {} } = fresh.engine
+      await otherMethods.freezeUtxos([outpoint])
+      const utxos = await otherMethods.listUtxos()
+      const frozen = utxos
+        .filter(utxo => utxo.frozen)
+        .map(utxo => utxo.outpoint)
+      assert.deepEqual(frozen, [outpoint])
+      const error = await fresh.engine.makeSpend(spendInfo).catch(e => e)
+      assert.equal(error.message, `UTXO ${outpoint} is frozen`)
+      const frozenText = await fresh.disklet.getText('frozen.json')
+      assert.deepEqual(JSON.parse(frozenText), { outpoints: [outpoint] })
+
+      await otherMethods.unfreezeUtxos([outpoint])
+      await fresh.engine.makeSpend(spendInfo)
+    })
+
+    it('Freezes nothing when an outpoint is invalid', async function() {
+      const { otherMethods = {} } = fresh.engine
+      try {
+        await otherMethods.freezeUtxos([outpoint, 'nonsense:0'])
+        assert.fail('Should throw')
+      } catch (e) {
+        assert.equal(e.message, 'Invalid outpoint nonsense:0')
+      }
+      const utxos = await otherMethods.listUtxos()
+      assert.isFalse(utxos.some(utxo => utxo.frozen))
+    })
+  })
+
+  describe(`Fee bumping for Wallet type ${WALLET_TYPE}`, function() {
+    const outpoint =
+      'e1d703801f2f64400cc98d9a2e7b6a4bcb304ff9e718685b9932c0d46cd124b3:0'
+    const publicAddress = '2MutAAY6tW2HEyrhSadT1aQhP4KdCAKkC74'
+    const fresh = useFreshEngine()
+
+    it('Pays more to the same outputs', async function() {
+      const { otherMethods = {} } = fresh.engine
+      const original = await fresh.engine.signTx(
+        await fresh.engine.makeSpend(
+          {
+            networkFeeOption: 'low',
+            spendTargets: [
+              { currencyCode: 'TBTC', publicAddress, nativeAmount: '100000' }
+            ],
+            otherParams: { utxos: [outpoint] }
+          },
+          { setRBF: true }
+        )
+      )
+      await fresh.engine.saveTx(original)
+
+      try {
+        await otherMethods.bumpFee(original.txid, 0)
+        assert.fail('Should throw')
+      } catch (e) {
+        assert.match(e.message, /^The new fee rate must be above/)
+      }
+
+      const replacement = await otherMethods.bumpFee(original.txid, 100)
+      const { otherParams = {} } = replacement
+      assert.equal(otherParams.replacedTxid, original.txid)
+      const { inputs, outputs } = otherParams.txJson
+      assert.include(
+        inputs.map(({ prevout }) => `${prevout.hash}:${prevout.index}`),
+        outpoint
+      )
+      assert.deepInclude(
+        outputs.map(({ address, value }) => ({ address, value })),
+        { address: publicAddress, value: 100000 }
+      )
+      assert.isAbove(
+        parseInt(replacement.networkFee),
+        parseInt(original.networkFee)
+      )
+    })
+  })
+
+  describe(`Cancelling transactions for Wallet type ${WALLET_TYPE}`, function() {
+    const outpoint =
+      'e1d703801f2f64400cc98d9a2e7b6a4bcb304ff9e718685b9932c0d46cd124b3:0'
+    const fresh = useFreshEngine()
+
+    it('Sends the coins back to ourselves', async function() {
+      const { otherMethods = {} } = fresh.engine
+      const balance = fresh.engine.getBalance({ currencyCode: 'TBTC' })
+      const original = await fresh.engine.signTx(
+        await fresh.engine.makeSpend(
+          {
+            networkFeeOption: 'low',
+            spendTargets: [
+              {
+                currencyCode: 'TBTC',
+                publicAddress: '2MutAAY6tW2HEyrhSadT1aQhP4KdCAKkC74',
+                nativeAmount: '100000'
+              }
+            ],
+            otherParams: { utxos: [outpoint] }
+          },
+          { setRBF: true }
+        )
+      )
+      await fresh.engine.saveTx(original)
+
+      const cancel = await fresh.engine.signTx(
+        await otherMethods.cancelTx(original.txid, 100)
+      )
+      const { otherParams = {} } = cancel
+      assert.equal(otherParams.replacedTxid, original.txid)
+      const { outputs } = otherParams.txJson
+      assert.lengthOf(outputs, 1)
+      assert.include(cancel.ourReceiveAddresses, outputs[0].address)
+
+      // Saving the cancellation marks the original as replaced:
+      await fresh.engine.saveTx(cancel)
+      const replaced = await fresh.engine.getTransaction(original.txid)
+      assert.equal(replaced.otherParams.replacedBy, cancel.txid)
+      // Only the cancellation's fee leaves the wallet:
+      assert.equal(
+        fresh.engine.getBalance({ currencyCode: 'TBTC' }),
+        `${parseInt(balance) - parseInt(cancel.networkFee)}`
+      )
+    })
+  })
+
+  describe(`Child pays for parent for Wallet type ${WALLET_TYPE}`, function() {
+    const fresh = useFreshEngine()
+
+    it('Brings the package up to the target rate', async function() {
+      const { otherMethods = {} } = fresh.engine
+      const targetRate = 100
+      const { publicAddress } = fresh.engine.getFreshAddress({})
+      const parent = await fresh.engine.signTx(
+        await fresh.engine.makeSpend({
+          networkFeeOption: 'low',
+          spendTargets: [
+            { currencyCode: 'TBTC', publicAddress, nativeAmount: '100000' }
+          ]
+        })
+      )
+      await fresh.engine.saveTx(parent)
+
+      try {
+        await otherMethods.accelerateIncoming('00'.repeat(32), targetRate)
+        assert.fail('Should throw')
+      } catch (e) {
+        assert.equal(e.message, 'Parent transaction unavailable')
+      }
+      try {
+        await otherMethods.accelerateIncoming(parent.txid, 1)
+        assert.fail('Should throw')
+      } catch (e) {
+        assert.equal(e.message, 'Transaction already pays the target fee rate')
+      }
+
+      const child = await fresh.engine.signTx(
+        await otherMethods.accelerateIncoming(parent.txid, targetRate)
+      )
+      const { otherParams = {} } = child
+      assert.equal(otherParams.parentTxid, parent.txid)
+      await fresh.engine.saveTx(child)
+
+      const parentTx = await fresh.engine.getTransaction(parent.txid)
+      const childTx = await fresh.engine.getTransaction(child.txid)
+      const packageFee =
+        parseInt(parent.networkFee) + parseInt(child.networkFee)
+      const packageSize = parentTx.otherParams.vsize + childTx.otherParams.vsize
+      assert.isAtLeast(packageFee / packageSize, targetRate)
+    })
+  })
+
+  describe(`Balance breakdown for Wallet type ${WALLET_TYPE}`, function() {
+    const outpoint =
+      'e1d703801f2f64400cc98d9a2e7b6a4bcb304ff9e718685b9932c0d46cd124b3:0'
+    const changes = []
+    const fresh = useFreshEngine({
+      callbacks: {
+        ...callbacks,
+        onBalanceBreakdownChanged(currencyCode, breakdown) {
+          changes.push(breakdown)
+        }
+      }
+    })
+
+    it('Splits the balance into buckets', async function() {
+      const { otherMethods = {} } = fresh.engine
+      const breakdown = await otherMethods.getBalanceBreakdown()
+      const sum = [
+        'confirmed',
+        'unconfirmedIncoming',
+        'unconfirmedChange',
+        'immature',
+        'frozen'
+      ].reduce((total, type) => total + parseInt(breakdown[type]), 0)
+      assert.equal(`${sum}`, breakdown.total)
+      assert.equal(
+        fresh.engine.getBalance({ currencyCode: 'TBTC' }),
+        breakdown.total
+      )
+      assert.equal(
+        fresh.engine.getBalance({
+          currencyCode: 'TBTC',
+          balanceType: 'confirmed'
+        }),
+        breakdown.confirmed
+      )
+    })
+
+    it('Moves frozen UTXOs into their own bucket', async function() {
+      const { otherMethods = {} } = fresh.engine
+      await otherMethods.freezeUtxos([outpoint])
+      assert.equal(
+        fresh.engine.getBalance({ balanceType: 'frozen' }),
+        '130000000'
+      )
+      await otherMethods.unfreezeUtxos([outpoint])
+      assert.equal(fresh.engine.getBalance({ balanceType: 'frozen' }), '0')
+      assert.throws(
+        () => fresh.engine.getBalance(({ balanceType: 'pending' }: any)),
+        'Unknown balance type pending'
+      )
+    })
+
+    it('Reports each change once', async function() {
+      const { otherMethods = {} } = fresh.engine
+      changes.length = 0 // Loading the cache can report changes too
+      await otherMethods.freezeUtxos([outpoint])
+      await otherMethods.freezeUtxos([outpoint])
+      assert.lengthOf(changes, 1)
+      assert.equal(changes[0].frozen, '130000000')
+    })
+  })
+
+  describe(`Message signing for Wallet type ${WALLET_TYPE}`, function() {
+    const address = '2N4PTzVCAor474BG9ZwHapH5FNZNzRusCrQ'
+
+    it('Verifies its own signatures', async function() {
+      const { otherMethods = {} } = engine
+      const signature = await otherMethods.signMessageBase64('hello', address)
+      assert.isTrue(
+        await otherMethods.verifyMessageBase64('hello', address, signature)
+      )
+      assert.isFalse(
+        await otherMethods.verifyMessageBase64('goodbye', address, signature)
+      )
+      assert.isFalse(
+        await otherMethods.verifyMessageBase64(
+          'hello',
+          '2MutAAY6tW2HEyrhSadT1aQhP4KdCAKkC74',
+          signature
+        )
+      )
+      assert.isFalse(
+        await otherMethods.verifyMessageBase64('hello', 'garbage', signature)
+      )
+    })
+
+    it('Proves address ownership with BIP322', async function() {
+      const { otherMethods = {} } = engine
+      for (const format of ['simple', 'full']) {
+        const signature = await otherMethods.signMessageBip322(
+          'hello',
+          address,
+          format
+        )
+        assert.isTrue(
+          await otherMethods.verifyMessageBip322('hello', address, signature)
+        )
+        assert.isFalse(
+          await otherMethods.verifyMessageBip322('goodbye', address, signature)
+        )
+      }
+    })
+  })
+
+  describe(`Consolidate UTXOs for Wallet type ${WALLET_TYPE}`, function() {
+    const fresh = useFreshEngine()
+
+    it('Merges the smallest UTXOs', async function() {
+      const { otherMethods = {} } = fresh.engine
+      const { otherParams = {} } = await otherMethods.consolidateUtxos({
+        maxInputs: 3
+      })
+      const { inputCount, projectedSavings } = otherParams.consolidation
+      assert.isAtLeast(inputCount, 2)
+      assert.isAtMost(inputCount, 3)
+      assert.equal(otherParams.txJson.inputs.length, inputCount)
+      assert.equal(otherParams.txJson.outputs.length, 1)
+      assert.isString(projectedSavings)
+    })
+
+    it('Refuses to pay more than the fee limit', async function() {
+      const { otherMethods = {} } = fresh.engine
+      const error = await otherMethods
+        .consolidateUtxos({ maxFeeRate: 0 })
+        .catch(e => e)
+      assert.match(error.message, /above the 0 sat\/vbyte limit$/)
+    })
+  })
+
+  describe(`OP_RETURN outputs for Wallet type ${WALLET_TYPE}`, function() {
+    const makeSpendInfo = (opReturn: string) => ({
+      networkFeeOption: 'standard',
+      spendTargets: [
+        {
+          currencyCode: 'TBTC',
+          publicAddress: '2MutAAY6tW2HEyrhSadT1aQhP4KdCAKkC74',
+          nativeAmount: '100000',
+          otherParams: { opReturn }
+        }
+      ]
+    })
+
+    it('Adds a data output next to the payment', async function() {
+      const { otherParams = {} } = await engine.makeSpend(
+        makeSpendInfo('deposit 1234')
+      )
+      assert.deepEqual(otherParams.opReturns, [
+        {
+          hex: Buffer.from('deposit 1234').toString('hex'),
+          utf8: 'deposit 1234'
+        }
+      ])
+    })
+
+    it('Refuses payloads over 80 bytes', async function() {
+      const error = await engine
+        .makeSpend(makeSpendInfo('00'.repeat(81)))
+        .catch(e => e)
+      assert.equal(error.message, 'OP_RETURN data is over 80 bytes')
+    })
+  })
+
+  describe(`Max spendable for Wallet type ${WALLET_TYPE}`, function() {
+    const makeSpendInfo = (nativeAmount: string) => ({
+      networkFeeOption: 'high',
+      spendTargets: [
+        {
+          currencyCode: 'TBTC',
+          publicAddress: '2MutAAY6tW2HEyrhSadT1aQhP4KdCAKkC74',
+          nativeAmount
+        }
+      ],
+      otherParams: {
+        utxos: [
+          'e1d703801f2f64400cc98d9a2e7b6a4bcb304ff9e718685b9932c0d46cd124b3:0'
+        ]
+      }
+    })
+
+    it('Returns the most makeSpend will send', async function() {
+      const { otherMethods = {} } = engine
+      const max = await otherMethods.getMaxSpendable(makeSpendInfo('0'))
+      assert.isAbove(parseInt(max), 0)
+      assert.isBelow(parseInt(max), 130000000)
+
+      const { networkFee } = await engine.makeSpend(makeSpendInfo(max))
+      assert.equal(parseInt(max) + parseInt(networkFee), 130000000)
+      const error = await engine
+        .makeSpend(makeSpendInfo(`${parseInt(max) + 1}`))
+        .catch(e => e)
+      assert.equal(error.name, errorNames.InsufficientFundsError)
+    })
+
+    it('Matches subtractFee on the whole balance', async function() {
+      const { otherMethods = {} } = engine
+      const max = await otherMethods.getMaxSpendable(makeSpendInfo('0'))
+      const { networkFee } = await engine.makeSpend(
+        makeSpendInfo('130000000'),
+        { subtractFee: true }
+      )
+      assert.equal(parseInt(max) + parseInt(networkFee), 130000000)
+    })
+  })
+
+  describe(`Timelocked addresses for Wallet type ${WALLET_TYPE}`, function() {
+    const fresh = useFreshEngine()
+
+    it('Pays into a new CLTV address', async function() {
+      // $FlowFixMe
+      const { keyManager } = fresh.engine
+      // Wallets only get timelock branches once they use them:
+      assert.notProperty(keyManager.keys, 'cltv')
+      const { ourReceiveAddresses } = await fresh.engine.makeSpend({
+        networkFeeOption: 'high',
+        spendTargets: [
+          {
+            currencyCode: 'TBTC',
+            nativeAmount: '100000',
+            otherParams: { script: { type: 'cltv', params: ['2000000'] } }
+          }
+        ]
+      })
+      // $FlowFixMe
+      const { addressInfos, scriptHashes } = fresh.engine.engineState
+      const locks = ourReceiveAddresses
+        .map(address => addressInfos[scriptHashes[address]].redeemScript)
+        .filter(redeemScript => redeemScript)
+        .map(parseTimelockScript)
+      assert.lengthOf(locks, 1)
+      assert.deepInclude(locks[0], { type: 'cltv', value: 2000000 })
+    })
+  })
+
+  describe(`Conflicting transactions for Wallet type ${WALLET_TYPE}`, function() {
+    const fresh = useFreshEngine()
+
+    const makeSigned = async (networkFeeOption: string) => {
+      const edgeTransaction = await fresh.engine.makeSpend({
+        networkFeeOption,
+        spendTargets: [
+          {
+            currencyCode: 'TBTC',
+            publicAddress: '2MutAAY6tW2HEyrhSadT1aQhP4KdCAKkC74',
+            nativeAmount: '100000'
+          }
+        ],
+        otherParams: {
+          utxos: [
+            'e1d703801f2f64400cc98d9a2e7b6a4bcb304ff9e718685b9932c0d46cd124b3:0'
+          ]
+        }
+      })
+      return fresh.engine.signTx(edgeTransaction)
+    }
+
+    it('Marks the lower fee spend as replaced', async function() {
+      const balance = fresh.engine.getBalance({ currencyCode: 'TBTC' })
+      const original = await makeSigned('low')
+      const replacement = await makeSigned('high')
+      await fresh.engine.saveTx(original)
+      await fresh.engine.saveTx(replacement)
+
+      const { otherParams = {} } = await fresh.engine.getTransaction(
+        original.txid
+      )
+      assert.equal(otherParams.replacedBy, replacement.txid)
+      assert.equal(otherParams.conflict, 'replaced')
+      // $FlowFixMe
+      const { txHeightCache } = fresh.engine.engineState
+      assert.equal(txHeightCache[original.txid].conflict, 'replaced')
+      assert.isUndefined(txHeightCache[replacement.txid].conflict)
+      // Only the replacement's spend counts against the balance:
+      assert.equal(
+        fresh.engine.getBalance({ currencyCode: 'TBTC' }),
+        `${parseInt(balance) - 100000 - parseInt(replacement.networkFee)}`
+      )
+
+      // The original confirming anyway kills its replacement:
+      // $FlowFixMe
+      fresh.engine.engineState.handleTxidFetch(original.txid, 1000000)
+      const replaced = await fresh.engine.getTransaction(replacement.txid)
+      assert.equal(replaced.otherParams.replacedBy, original.txid)
+      assert.equal(replaced.otherParams.conflict, 'conflicted')
+      const confirmed = await fresh.engine.getTransaction(original.txid)
+      assert.isUndefined(confirmed.otherParams.replacedBy)
+    })
+  })
+
+  describe(`Rebroadcasting for Wallet type ${WALLET_TYPE}`, function() {
+    const fresh = useFreshEngine()
+
+    it('Re-sends missing transactions with backoff', async function() {
+      const edgeTransaction = await fresh.engine.signTx(
+        await fresh.engine.makeSpend({
+          networkFeeOption: 'standard',
+          spendTargets: [
+            {
+              currencyCode: 'TBTC',
+              publicAddress: '2MutAAY6tW2HEyrhSadT1aQhP4KdCAKkC74',
+              nativeAmount: '10000'
+            }
+          ]
+        })
+      )
+      await fresh.engine.saveTx(edgeTransaction)
+      const { txid, signedTx } = edgeTransaction
+      // $FlowFixMe
+      const { engineState } = fresh.engine
+      const info = engineState.rebroadcasts[txid]
+      assert.equal(info.attempts, 0)
+
+      const { connections, broadcastTx } = engineState
+      const sent = []
+      engineState.connections = { 'electrum://fake': { connected: true } }
+      engineState.broadcastTx = rawTx => {
+        sent.push(rawTx)
+        return Promise.resolve(txid)
+      }
+      info.nextAttempt = 0
+      engineState.rebroadcast()
+      const firstDelay = info.nextAttempt - Date.now()
+      info.nextAttempt = 0
+      engineState.rebroadcast()
+      const secondDelay = info.nextAttempt - Date.now()
+      engineState.connections = connections
+      engineState.broadcastTx = broadcastTx
+
+      assert.deepEqual(sent, [signedTx, signedTx])
+      assert.equal(info.attempts, 2)
+      assert.isAbove(secondDelay, firstDelay)
+
+      info.expires = 0
+      engineState.rebroadcast()
+      assert.isUndefined(engineState.rebroadcasts[txid])
+    })
+  })
+
   describe(`Sweep Keys and Sign for Wallet type ${WALLET_TYPE}`, function() {
     const sweepTests = fixture.Sweep || {}
 
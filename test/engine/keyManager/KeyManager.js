@@ -11,7 +11,10 @@ import { bitcoincash } from '../../../src/info/bitcoincash.js'
 import { dogecoin } from '../../../src/info/dogecoin.js'
 // Bcoin extender function
 import { addNetwork } from '../../../src/utils/bcoinExtender/bcoinExtender.js'
+import { parseTransaction } from '../../../src/utils/coinUtils.js'
 import { logger, setLogger } from '../../../src/utils/logger.js'
+import { isPsbtFinalized } from '../../../src/utils/psbt.js'
+import { reverseBufferToHex } from '../../../src/utils/utils.js'
 import fixtures from './fixtures.json'
 
 // Add network to bcoin
@@ -54,3 +57,108 @@ for (const fixture of fixtures) {
     })
   })
 }
+
+describe('Key Manager PSBTs', function() {
+  const seed =
+    'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+  // A one-input, one-output transaction spending output 0 of `txid`:
+  const makeTx = (txid: string, value: number, script: string): string => {
+    const amount = Buffer.alloc(8)
+    amount.writeUInt32LE(value, 0)
+    return (
+      '02000000' +
+      '01' +
+      reverseBufferToHex(Buffer.from(txid, 'hex')) +
+      '00000000' +
+      '00' +
+      'fdffffff' +
+      '01' +
+      amount.toString('hex') +
+      Buffer.from([script.length / 2]).toString('hex') +
+      script +
+      '00000000'
+    )
+  }
+
+  it('creates and signs a PSBT spending its own coins', async function() {
+    const addressInfos = {}
+    const parsedTxs = {}
+    const keyManager = new KeyManager({
+      bip: 'bip84',
+      network: 'bitcoin',
+      coinType: 0,
+      gapLimit: 2,
+      seed,
+      engineState: { addressInfos, parsedTxs, scriptHashes: {} },
+      callbacks: {
+        onNewAddress(scriptHash, displayAddress, path, redeemScript) {
+          addressInfos[scriptHash] = { displayAddress, path, redeemScript }
+        }
+      }
+    })
+    await keyManager.load()
+    const { displayAddress } = keyManager.keys.receive.children[0]
+    assert.equal(displayAddress, 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu')
+    const script = '0014c0cebcd6c3d3ca8c75dc5ec62ebe55330ef910e2'
+
+    const funding = makeTx('11'.repeat(32), 100000, script)
+    const fundingTx: any = parseTransaction(funding)
+    parsedTxs[fundingTx.txid()] = fundingTx
+    const spendTx = parseTransaction(makeTx(fundingTx.txid(), 90000, script))
+
+    const psbt = await keyManager.createPsbt(spendTx)
+    const [input] = psbt.inputs
+    assert.deepEqual(input.witnessUtxo, { value: 100000, script })
+    assert.equal(input.nonWitnessUtxo, funding)
+    assert.equal(input.bip32Derivation[0].path, "m/84'/0'/0'/0/0")
+    assert.equal(psbt.outputs[0].bip32Derivation[0].path, "m/84'/0'/0'/0/0")
+
+    const { psbt: signed, signedTx, txid } = await keyManager.signPsbt(psbt)
+    assert.isTrue(isPsbtFinalized(signed))
+    const tx: any = parseTransaction(signedTx)
+    assert.equal(tx.txid(), txid)
+    assert.lengthOf(tx.inputs[0].witness.items, 2)
+  })
+
+  it('refuses to build PSBTs for unsynced coins', async function() {
+    const keyManager = new KeyManager({
+      bip: 'bip84',
+      network: 'bitcoin',
+      coinType: 0,
+      gapLimit: 2,
+      seed,
+      engineState: { addressInfos: {}, parsedTxs: {}, scriptHashes: {} },
+      callbacks: {}
+    })
+    await keyManager.load()
+    const spendTx = parseTransaction(makeTx('11'.repeat(32), 90000, '00'))
+    try {
+      await keyManager.createPsbt(spendTx)
+      assert.fail('Should throw')
+    } catch (e) {
+      assert.equal(e.message, 'UTXO not synced yet')
+    }
+  })
+})
+
+describe('Key Manager for bip86', function() {
+  it('derives taproot addresses', async function() {
+    const keyManager = new KeyManager({
+      bip: 'bip86',
+      network: 'bitcoin',
+      coinType: 0,
+      gapLimit: 2,
+      seed:
+        'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about',
+      engineState: { addressInfos: {}, parsedTxs: {}, scriptHashes: {} },
+      callbacks: {}
+    })
+    await keyManager.load()
+    assert.equal(keyManager.masterPath, "m/86'/0'/0'")
+    assert.equal(
+      keyManager.keys.receive.children[0].displayAddress,
+      'bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr'
+    )
+  })
+})
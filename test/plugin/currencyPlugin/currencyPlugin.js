@@ -11,6 +11,7 @@ import {
 import { before, describe, it } from 'mocha'
 
 import edgeCorePlugins from '../../../src/index.js'
+import { type CurrencyTools } from '../../../src/plugin/currencyPlugin.js'
 import fixtures from './fixtures.json'
 
 const fakeLogger = {
@@ -142,6 +143,42 @@ for (const fixture of fixtures) {
     })
   })
 
+  describe(`importPublicKey for Wallet type ${WALLET_TYPE}`, function() {
+    const importPublicKey = fixture.importPublicKey || {}
+    Object.keys(importPublicKey).forEach(test => {
+      const [input, expectedKeys] = importPublicKey[test]
+      it(test, async function() {
+        const currencyTools: CurrencyTools = (tools: any)
+        const keys = await currencyTools.importPublicKey(input).catch(e => null)
+        assert.deepEqual(keys, expectedKeys || null)
+        if (!expectedKeys) return
+
+        // Watch-only wallets keep the imported key:
+        const publicKeys = await currencyTools.internalDerivePublicKey({
+          type: WALLET_TYPE,
+          keys: expectedKeys,
+          id: '!'
+        })
+        assert.deepEqual(publicKeys, expectedKeys)
+      })
+    })
+
+    it('Rejects watch-only wallets without a valid xpub', async function() {
+      const currencyTools: CurrencyTools = (tools: any)
+      const walletInfo = {
+        type: WALLET_TYPE,
+        keys: { [xpubName]: 'not an xpub', format: WALLET_FORMAT },
+        id: '!'
+      }
+      try {
+        await currencyTools.internalDerivePublicKey(walletInfo)
+        assert.fail('Should throw')
+      } catch (e) {
+        assert.notEqual(e.message, 'Should throw')
+      }
+    })
+  })
+
   describe(`getSplittableTypes for Wallet type ${WALLET_TYPE}`, function() {
     const getSplittableTypes = fixture.getSplittableTypes || []
     Object.keys(getSplittableTypes).forEach(format => {
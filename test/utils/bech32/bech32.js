@@ -0,0 +1,68 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  decodeSegwitAddress,
+  encodeSegwitAddress,
+  witnessProgramScript
+} from '../../../src/utils/bech32.js'
+
+// BIP350 test vectors
+const valid = [
+  [
+    'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4',
+    '0014751e76e8199196d454941c45d1b3a323f1433bd6'
+  ],
+  [
+    'bc1pw508d6qejxtdg4y5r3zarvary0c5xw7kw508d6qejxtdg4y5r3zarvary0c5xw7kt5nd6y',
+    '5128751e76e8199196d454941c45d1b3a323f1433bd6751e76e8199196d454941c45d1b3a323f1433bd6'
+  ],
+  ['BC1SW50QGDZ25J', '6002751e'],
+  [
+    'bc1zw508d6qejxtdg4y5r3zarvaryvaxxpcs',
+    '5210751e76e8199196d454941c45d1b3a323'
+  ],
+  [
+    'tb1pqqqqp399et2xygdj5xreqhjjvcmzhxw4aywxecjdzew6hylgvsesf3hn0c',
+    '5120000000c4a5cad46221b2a187905e5266362b99d5e91c6ce24d165dab93e86433'
+  ]
+]
+const invalid = [
+  // Witness v1 with a bech32 checksum
+  'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vq5zuyut',
+  // Witness v0 with a bech32m checksum
+  'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh',
+  // Mixed case
+  'tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sL5k7',
+  // Invalid program length for witness v0
+  'BC1QR508D6QEJXTDG4Y5R3ZARVARYV98GJ9P',
+  // Non-zero padding
+  'bc1zw508d6qejxtdg4y5r3zarvaryvqyzf3du'
+]
+
+describe('Segwit addresses', function() {
+  it('Decodes bech32 and bech32m addresses', function() {
+    for (const [address, script] of valid) {
+      const { version, program } = decodeSegwitAddress(address)
+      assert.equal(witnessProgramScript(version, program), script)
+    }
+  })
+
+  it('Round trips addresses', function() {
+    for (const [address] of valid) {
+      const { hrp, version, program } = decodeSegwitAddress(address)
+      assert.equal(
+        encodeSegwitAddress(hrp, version, program),
+        address.toLowerCase()
+      )
+    }
+  })
+
+  it('Rejects invalid addresses', function() {
+    for (const address of invalid) {
+      assert.throws(() => decodeSegwitAddress(address))
+    }
+  })
+})
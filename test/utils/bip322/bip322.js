@@ -0,0 +1,143 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  bip322MessageHash,
+  createToSign,
+  createToSpend,
+  signBip322Message,
+  verifyBip322Message
+} from '../../../src/utils/bip322.js'
+import {
+  formatSelector,
+  getAllKeyRings
+} from '../../../src/utils/formatSelector.js'
+
+// The test vectors from BIP322
+const address = 'bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l'
+const outputScript = '00142b05d564e6a7a33c087f16e0f730d1440123799d'
+const privateKey = 'L3VFeEujGtevx9w18HD1fhRbCH67Az2dpCymeRE1SoPK6XQtaN2k'
+const helloWorld =
+  'AkcwRAIgZRfIY3p7/DoVTty6YZbWS71bc5Vct9p9Fia83eRmw2QCICK/ENGfwLtptFluMGs2KsqoNSk89pO7F29zJLUx9a/sASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI='
+
+const getKey = async (nested: boolean) => {
+  const keys = await getAllKeyRings([privateKey], 'bitcoin')
+  const key = keys.find(key => key.witness && key.nested === nested)
+  if (!key) throw new Error('Missing segwit key')
+  return key
+}
+
+describe('BIP322', function() {
+  it('Hashes messages with the BIP322 tag', function() {
+    assert.equal(
+      bip322MessageHash('').toString('hex'),
+      'c90c269c4f8fcbe6880f72a721ddfbf1914268a794cbb21cfafee13770ae19f1'
+    )
+    assert.equal(
+      bip322MessageHash('Hello World').toString('hex'),
+      'f0eb03b1a75ac6d9847f55c624a99169b5dccba2a31f5b23bea77ba270de0a7a'
+    )
+  })
+
+  it('Spends the message from its virtual transaction', function() {
+    const toSign = createToSign(createToSpend('Hello World', outputScript))
+    assert.equal(
+      toSign.inputs[0].prevout.rhash(),
+      'b79d196740ad5217771c1098fc4a4b51e0535c32236c71f1ea4d61a2d603352b'
+    )
+    assert.deepEqual(
+      toSign.outputs.map(({ value, script }) => ({
+        value,
+        script: script.toRaw().toString('hex')
+      })),
+      [{ value: 0, script: '6a' }]
+    )
+  })
+
+  it('Verifies simple signatures', async function() {
+    assert.isTrue(
+      await verifyBip322Message('Hello World', address, helloWorld, 'bitcoin')
+    )
+    assert.isFalse(
+      await verifyBip322Message('Hello', address, helloWorld, 'bitcoin')
+    )
+    assert.isFalse(
+      await verifyBip322Message('Hello World', address, 'AA==', 'bitcoin')
+    )
+  })
+
+  it('Refuses taproot and invalid addresses', async function() {
+    const taproot =
+      'bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr'
+    for (const badAddress of [taproot, 'garbage']) {
+      assert.isFalse(
+        await verifyBip322Message(
+          'Hello World',
+          badAddress,
+          helloWorld,
+          'bitcoin'
+        )
+      )
+    }
+    const key = await getKey(false)
+    const { sign } = formatSelector('bip86', 'bitcoin')
+    try {
+      await signBip322Message('Hi', taproot, key, 'full', sign, 'bitcoin')
+      assert.fail('Should throw')
+    } catch (e) {
+      assert.equal(
+        e.message,
+        'BIP322 signatures for taproot addresses are unsupported'
+      )
+    }
+  })
+
+  it('Signs for native and nested segwit addresses', async function() {
+    for (const [bip, nested, keyAddress] of [
+      ['bip84', false, address],
+      ['bip49', true, null]
+    ]) {
+      const key = await getKey(nested)
+      const { sign } = formatSelector(bip, 'bitcoin')
+      const signer = keyAddress || key.getAddress().toString()
+      for (const format of ['simple', 'full']) {
+        const signature = await signBip322Message(
+          'Hello World',
+          signer,
+          key,
+          format,
+          sign,
+          'bitcoin'
+        )
+        assert.isTrue(
+          await verifyBip322Message('Hello World', signer, signature, 'bitcoin')
+        )
+      }
+    }
+  })
+
+  it('Needs full signatures for legacy addresses', async function() {
+    const keys = await getAllKeyRings([privateKey], 'bitcoin')
+    const key = keys.find(key => !key.witness && !key.taproot)
+    if (!key) throw new Error('Missing legacy key')
+    const { sign } = formatSelector('bip44', 'bitcoin')
+    const legacy = key.getAddress().toString()
+    try {
+      await signBip322Message('Hi', legacy, key, 'simple', sign, 'bitcoin')
+      assert.fail('Should throw')
+    } catch (e) {
+      assert.equal(e.message, 'Legacy addresses need a full BIP322 signature')
+    }
+    const signature = await signBip322Message(
+      'Hi',
+      legacy,
+      key,
+      'full',
+      sign,
+      'bitcoin'
+    )
+    assert.isTrue(await verifyBip322Message('Hi', legacy, signature, 'bitcoin'))
+  })
+})
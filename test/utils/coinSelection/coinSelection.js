@@ -0,0 +1,96 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import { selectCoins } from '../../../src/utils/coinSelection.js'
+
+// At 1 sat/vbyte each coin pays 68 sats to spend itself
+const coin = (value: number, cluster: string = `${value}`) => ({
+  value: value + 68,
+  vsize: 68,
+  cluster
+})
+const target = (value: number) => ({
+  value,
+  vsize: 50,
+  changeVsize: 31,
+  changeSpendVsize: 68,
+  rate: 1000,
+  minChange: 546
+})
+const values = ({ coins }) =>
+  coins.map(({ value }) => value - 68).sort((a, b) => a - b)
+
+describe('selectCoins', function() {
+  const coins = [coin(10000), coin(20000), coin(50000)]
+
+  it('Finds changeless matches with branch-and-bound', function() {
+    const selection = selectCoins('bnb', coins, target(29950))
+    assert.isTrue(selection.changeless)
+    assert.deepEqual(values(selection), [10000, 20000])
+  })
+
+  it('Falls back on knapsack when nothing matches', function() {
+    const selection = selectCoins('bnb', coins, target(5000))
+    assert.isFalse(selection.changeless)
+    assert.deepEqual(values(selection), [10000])
+    assert.deepEqual(values(selectCoins('knapsack', coins, target(5000))), [
+      10000
+    ])
+  })
+
+  it('Uses as few inputs as possible', function() {
+    const many = [coin(1000), coin(2000), coin(3000), ...coins]
+    assert.deepEqual(values(selectCoins('minimize', many, target(15000))), [
+      20000
+    ])
+    assert.deepEqual(values(selectCoins('minimize', many, target(60000))), [
+      20000,
+      50000
+    ])
+  })
+
+  it('Spends the smallest coins first when consolidating', function() {
+    const many = [coin(50000), coin(3000), coin(1000), coin(2000)]
+    assert.deepEqual(values(selectCoins('consolidate', many, target(5000))), [
+      1000,
+      2000,
+      3000
+    ])
+  })
+
+  it('Keeps address clusters together', function() {
+    const clustered = [coin(20000, 'a'), coin(20000, 'a'), coin(50000, 'b')]
+    assert.deepEqual(values(selectCoins('privacy', clustered, target(30000))), [
+      20000,
+      20000
+    ])
+    assert.deepEqual(values(selectCoins('privacy', clustered, target(45000))), [
+      50000
+    ])
+    assert.lengthOf(selectCoins('privacy', clustered, target(65000)).coins, 3)
+  })
+
+  it('Skips coins worth less than their fee', function() {
+    const dusty = [{ value: 60, vsize: 68, cluster: '' }, coin(10000)]
+    for (const strategy of ['consolidate', 'privacy']) {
+      assert.deepEqual(values(selectCoins(strategy, dusty, target(5000))), [
+        10000
+      ])
+    }
+  })
+
+  it('Throws a FundingError without enough value', function() {
+    for (const strategy of ['bnb', 'minimize', 'consolidate', 'privacy']) {
+      assert.throws(
+        () => selectCoins(strategy, coins, target(90000)),
+        'Not enough funds.'
+      )
+    }
+    assert.throws(
+      () => selectCoins('largest', coins, target(1000)),
+      'Unknown coin selection largest'
+    )
+  })
+})
@@ -0,0 +1,231 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import { createTX, parseTransaction } from '../../../src/utils/coinUtils.js'
+import {
+  encodeU32,
+  encodeU64,
+  encodeVarBytes,
+  encodeVarint
+} from '../../../src/utils/rawTx.js'
+
+const changeAddress = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'
+const changeScript = '0014751e76e8199196d454941c45d1b3a323f1433bd6'
+const paymentScript = `0014${'11'.repeat(20)}`
+
+const makeTx = (inputs, outputs, sequence = 0xfffffffd) =>
+  Buffer.concat([
+    encodeU32(2),
+    encodeVarint(inputs.length),
+    ...inputs.map(([txid, index]) =>
+      Buffer.concat([
+        Buffer.from(txid, 'hex').reverse(),
+        encodeU32(index),
+        encodeVarint(0),
+        encodeU32(sequence)
+      ])
+    ),
+    encodeVarint(outputs.length),
+    ...outputs.map(({ value, script }) =>
+      Buffer.concat([
+        encodeU64(value),
+        encodeVarBytes(Buffer.from(script, 'hex'))
+      ])
+    ),
+    encodeU32(0)
+  ]).toString('hex')
+
+const fundingTx = parseTransaction(
+  makeTx(
+    [['22'.repeat(32), 0]],
+    [
+      { value: 100000, script: changeScript },
+      { value: 50000, script: changeScript }
+    ]
+  )
+)
+const utxos = [
+  { tx: fundingTx, index: 0, height: 100 },
+  { tx: fundingTx, index: 1, height: 100 }
+]
+const spend = (sequence: number) =>
+  makeTx(
+    [[fundingTx.txid(), 0]],
+    [
+      { value: 60000, script: paymentScript },
+      { value: 39000, script: changeScript }
+    ],
+    sequence
+  )
+
+const replace = (RBFraw: string, rate: number, RBFcancel?: boolean) =>
+  createTX({
+    utxos,
+    rate,
+    changeAddress,
+    network: 'bitcoin',
+    txOptions: { RBFraw, RBFcancel }
+  })
+
+describe('createTX replace-by-fee', function() {
+  it('Takes the higher fee out of the change', async function() {
+    const mtx = await replace(spend(0xfffffffd), 5000)
+    assert.equal(mtx.inputs.length, 1)
+    assert.equal(mtx.inputs[0].prevout.index, 0)
+    assert.equal(mtx.inputs[0].sequence, 0xfffffffd)
+    assert.equal(mtx.outputs[0].script.toRaw().toString('hex'), paymentScript)
+    assert.equal(mtx.outputs[0].value, 60000)
+
+    const fee = mtx.getFee()
+    const size = await mtx.estimateSize()
+    assert.isAtLeast(fee, 5 * size)
+    assert.isAtLeast(fee, 1000 + size)
+    assert.equal(mtx.outputs[1].value, 100000 - 60000 - fee)
+  })
+
+  it('Adds confirmed coins when the change runs out', async function() {
+    const mtx = await replace(spend(0xfffffffd), 300000)
+    assert.equal(mtx.inputs.length, 2)
+    assert.equal(mtx.outputs[0].value, 60000)
+  })
+
+  it('Cancels by sending everything back to the change address', async function() {
+    const mtx = await replace(spend(0xfffffffd), 5000, true)
+    assert.equal(mtx.inputs.length, 1)
+    assert.equal(mtx.outputs.length, 1)
+    assert.equal(mtx.outputs[0].script.toRaw().toString('hex'), changeScript)
+    assert.equal(mtx.outputs[0].value, 100000 - mtx.getFee())
+    assert.isAtLeast(mtx.getFee(), 1000)
+  })
+
+  it('Refuses transactions without the RBF signal', function() {
+    return replace(spend(0xffffffff), 5000).then(
+      () => assert.fail('Should throw'),
+      e => assert.equal(e.message, 'Transaction does not signal replace-by-fee')
+    )
+  })
+})
+
+describe('createTX child-pays-for-parent', function() {
+  it('Spends the largest output of the parent', async function() {
+    const mtx = await createTX({
+      utxos: [...utxos].reverse(),
+      rate: 10000,
+      changeAddress,
+      network: 'bitcoin',
+      txOptions: { CPFP: fundingTx.txid() }
+    })
+    assert.equal(mtx.inputs.length, 1)
+    assert.equal(mtx.inputs[0].prevout.index, 0)
+    assert.equal(mtx.outputs.length, 1)
+    assert.equal(mtx.outputs[0].value, 100000 - mtx.getFee())
+  })
+})
+
+describe('createTX segwit v1+ outputs', function() {
+  it('Pays bech32m addresses', async function() {
+    const mtx = await createTX({
+      utxos,
+      rate: 1000,
+      changeAddress,
+      network: 'bitcoin',
+      outputs: [
+        {
+          address:
+            'bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr',
+          value: 10000
+        },
+        { address: 'bc1zw508d6qejxtdg4y5r3zarvaryvaxxpcs', value: 20000 }
+      ],
+      txOptions: {}
+    })
+    const scripts = mtx.outputs.map(({ script }) =>
+      script.toRaw().toString('hex')
+    )
+    assert.include(
+      scripts,
+      '5120a60869f0dbcf1dc659c9cecbaf8050135ea9e8cdc487053f1dc6880949dc684c'
+    )
+    assert.include(scripts, '5210751e76e8199196d454941c45d1b3a323')
+  })
+})
+
+describe('createTX coin selection strategies', function() {
+  it('Spends the smallest coins first when consolidating', async function() {
+    const mtx = await createTX({
+      utxos,
+      rate: 1000,
+      changeAddress,
+      network: 'bitcoin',
+      outputs: [{ address: changeAddress, value: 20000 }],
+      txOptions: { selection: 'consolidate' }
+    })
+    assert.equal(mtx.inputs.length, 1)
+    assert.equal(mtx.inputs[0].prevout.index, 1)
+    assert.equal(mtx.outputs.length, 2)
+    assert.equal(mtx.getFee(), 50000 - 20000 - mtx.outputs[1].value)
+  })
+})
+
+describe('createTX locktime and sequences', function() {
+  const payment = [{ address: changeAddress, value: 20000 }]
+  const create = (txOptions: Object, height?: number) =>
+    createTX({
+      utxos,
+      rate: 1000,
+      changeAddress,
+      network: 'bitcoin',
+      outputs: payment,
+      height,
+      txOptions: { selection: 'all', ...txOptions }
+    })
+
+  it('Leaves the locktime alone by default', async function() {
+    const mtx = await create({}, 700000)
+    assert.equal(mtx.version, 1)
+    assert.equal(mtx.locktime, 0)
+  })
+
+  it('Locks to the height to avoid fee sniping', async function() {
+    const mtx = await create({ antiFeeSniping: true }, 700000)
+    assert.equal(mtx.version, 2)
+    assert.isAtMost(mtx.locktime, 700000)
+    assert.isAtLeast(mtx.locktime, 700000 - 100)
+    for (const input of mtx.inputs) assert.equal(input.sequence, 0xfffffffe)
+  })
+
+  it('Uses an explicit locktime and sequences', async function() {
+    const outpoint = `${fundingTx.txid()}:1`
+    const mtx = await create(
+      { version: 2, locktime: 1600000000, sequences: { [outpoint]: 144 } },
+      700000
+    )
+    assert.equal(mtx.locktime, 1600000000)
+    const input = mtx.inputs.find(({ prevout }) => prevout.index === 1)
+    assert.equal(input && input.sequence, 144)
+  })
+
+  it('Refuses locks that would be ignored', async function() {
+    const error = await create({
+      locktime: 650000,
+      sequences: {
+        [`${fundingTx.txid()}:0`]: 0xffffffff,
+        [`${fundingTx.txid()}:1`]: 0xffffffff
+      }
+    }).catch(e => e)
+    assert.equal(
+      error.message,
+      'The locktime needs an input with a non-final sequence'
+    )
+    const versionError = await create({
+      version: 1,
+      sequences: { [`${fundingTx.txid()}:0`]: 144 }
+    }).catch(e => e)
+    assert.equal(
+      versionError.message,
+      'Relative locktimes need transaction version 2'
+    )
+  })
+})
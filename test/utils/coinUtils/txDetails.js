@@ -0,0 +1,39 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  getInputScriptType,
+  getOutputScriptType,
+  parseTransaction,
+  signalsRbf
+} from '../../../src/utils/coinUtils.js'
+
+// txid 98b83856161f16f877194e0d80167bff0eb853fda89c2401ca2d99ee4676eca2
+const legacyTx =
+  '0100000001e7a4a70f71e090157bc7c1b47ee83af56beb3579d8fa24110a97d1ee717d9afb010000006b483045022100de863ece760a873d673851f9c81ed148519dfc237d3fd7d43600896d5c5ba651022003e1620cdbbca12596a34fc97495486eb3f8f523453cb031ac531d623af4c7430121038600604184c04d944cd711e08a903043961a8a01d32e738beec1937dea75ae35ffffffff0277060000000000001976a91491c5eab4339b77e897005c3fcf0c123c62fccf9988ac53150000000000001976a914f783b9f78fe45bae833babfa5f2ebf10dd0cb79788ac00000000'
+
+// txid 4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b
+const genesisTx =
+  '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000'
+
+describe('Transaction details', function() {
+  it('Names input and output scripts', function() {
+    const tx: any = parseTransaction(legacyTx)
+    assert.equal(getInputScriptType(tx.inputs[0]), 'p2pkh')
+    assert.equal(getInputScriptType(tx.inputs[0], tx.outputs[0]), 'p2pkh')
+    assert.equal(getOutputScriptType(tx.outputs[1]), 'p2pkh')
+
+    const genesis: any = parseTransaction(genesisTx)
+    assert.equal(getInputScriptType(genesis.inputs[0]), 'coinbase')
+    assert.equal(getOutputScriptType(genesis.outputs[0]), 'nonstandard')
+  })
+
+  it('Spots replace-by-fee signaling', function() {
+    const tx: any = parseTransaction(legacyTx)
+    assert.equal(signalsRbf(tx), false)
+    tx.inputs[0].sequence = 0xfffffffd
+    assert.equal(signalsRbf(tx), true)
+  })
+})
@@ -0,0 +1,105 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  addDescriptorChecksum,
+  createDescriptor,
+  createKeyExpression,
+  createMultisigDescriptor,
+  descriptorChecksum,
+  parseDescriptor,
+  parseDescriptors,
+  parseKeyExpression
+} from '../../../src/utils/descriptors.js'
+
+const xpub =
+  'xpub6DJ2dNUysrn5Vt36jH2KLBT2i1auw1tTSSomg8PhqNiUtx8QX2SvC9nrHu81fT41fvDUnhMjEzQgXnQjKEu3oaqMSzhSrHMxyyoEAmUHQbY'
+const otherXpub =
+  'xpub6BosfCnifzxcFwrSzQiqu2DBVTshkCXacvNsWGYJVVhhawA7d4R5WSWGFNbi8Aw6ZRc1brxMyWMzG3DSSSSoekkudhUd9yLb6qx39T9nMdj'
+const receive = `wpkh([d34db33f/84h/0h/0h]${xpub}/0/*)#cjjspncu`
+
+describe('Output descriptors', function() {
+  it('Calculates BIP380 checksums', function() {
+    assert.equal(descriptorChecksum('raw(deadbeef)'), '89f8spxm')
+    assert.equal(addDescriptorChecksum(receive.split('#')[0]), receive)
+  })
+
+  it('Parses a descriptor with key origin', function() {
+    assert.deepEqual(parseDescriptor(receive), {
+      format: 'bip84',
+      xpub,
+      fingerprint: 'd34db33f',
+      path: "m/84'/0'/0'",
+      branches: [0]
+    })
+    assert.equal(parseDescriptor(`sh(wpkh(${xpub}/<0;1>/*))`).format, 'bip49')
+    assert.equal(
+      parseDescriptor(`pkh([d34db33f/0]${xpub}/0/*)`).format,
+      'bip32'
+    )
+  })
+
+  it('Rejects bad descriptors', function() {
+    assert.throws(
+      () => parseDescriptor(receive.replace('cjjspncu', 'cjjspncv')),
+      'Invalid descriptor checksum'
+    )
+    assert.throws(() => parseDescriptor(`tr(${xpub}/0/*)`))
+    assert.throws(() => parseDescriptor(`wpkh(${xpub}/*)`))
+    assert.throws(() => parseDescriptor(`wpkh(${xpub}/2/*)`))
+  })
+
+  it('Combines receive and change descriptors', function() {
+    const change = addDescriptorChecksum(
+      `wpkh([d34db33f/84'/0'/0']${xpub}/1/*)`
+    )
+    assert.deepEqual(parseDescriptors(`${receive}\n${change}`).branches, [0, 1])
+    assert.throws(() =>
+      parseDescriptors(`${receive} pkh([d34db33f/84h/0h/0h]${xpub}/1/*)`)
+    )
+  })
+
+  it('Creates descriptors', function() {
+    const key = {
+      format: 'bip84',
+      xpub,
+      fingerprint: 'd34db33f',
+      path: "m/84'/0'/0'"
+    }
+    assert.equal(createDescriptor(key, 0), receive)
+    assert.deepEqual(parseDescriptor(createDescriptor(key, 1)).branches, [1])
+  })
+  it('Round trips sortedmulti descriptors', function() {
+    const cosigners = [
+      { xpub, fingerprint: 'd34db33f', path: "m/48'/0'/0'/2'" },
+      { xpub: otherXpub, fingerprint: '73c5da0a', path: "m/48'/0'/0'/2'" }
+    ]
+    const multisig = { threshold: 2, scriptType: 'p2wsh' }
+    const descriptor = createMultisigDescriptor(multisig, cosigners, 1)
+    assert.match(descriptor, /^wsh\(sortedmulti\(2,\[d34db33f\/48h/)
+    assert.deepEqual(parseDescriptor(descriptor), {
+      ...cosigners[0],
+      format: 'bip48',
+      branches: [1],
+      multisig: {
+        ...multisig,
+        cosigners: cosigners.map(createKeyExpression)
+      }
+    })
+  })
+
+  it('Parses key expressions', function() {
+    const expression = `[d34db33f/48h/0h/0h/2h]${xpub}`
+    const key = parseKeyExpression(expression)
+    assert.deepEqual(key, {
+      xpub,
+      fingerprint: 'd34db33f',
+      path: "m/48'/0'/0'/2'"
+    })
+    assert.equal(createKeyExpression(key), expression)
+    assert.deepEqual(parseKeyExpression(xpub), { xpub })
+    assert.throws(() => parseKeyExpression(`${xpub}/0/*`))
+  })
+})
@@ -0,0 +1,83 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  exportTransactions,
+  toDisplayAmount
+} from '../../../src/utils/exportTxs.js'
+
+const txidA = 'aa'.repeat(32)
+const txidB = 'bb'.repeat(32)
+const rows = [
+  {
+    txid: txidA,
+    date: 1577880000,
+    nativeAmount: '150000000',
+    networkFee: '0',
+    blockHeight: 610000,
+    confirmations: 10,
+    counterparties: ['bc1qsender', 'bc1q"quoted"']
+  },
+  {
+    txid: txidB,
+    date: 1577966400,
+    nativeAmount: '-20000',
+    networkFee: '1000',
+    blockHeight: 0,
+    confirmations: 0,
+    counterparties: []
+  }
+]
+const options = {
+  currencyCode: 'BTC',
+  multiplier: '100000000',
+  accountId: 'abc123',
+  balance: '149980000'
+}
+
+describe('exportTransactions', function() {
+  it('Shows amounts in a denomination', function() {
+    assert.equal(toDisplayAmount('150000000', '100000000'), '1.50000000')
+    assert.equal(toDisplayAmount('-20000', '100000000'), '-0.00020000')
+    assert.equal(toDisplayAmount('-20000', '100000'), '-0.20000')
+    assert.equal(toDisplayAmount('-0', '100'), '0.00')
+    assert.equal(toDisplayAmount('42', '1'), '42')
+  })
+
+  it('Writes csv rows', function() {
+    const lines = exportTransactions(rows, 'csv', options).split('\r\n')
+    assert.equal(
+      lines[0],
+      'Date,Txid,Amount (BTC),Fee (BTC),Block Height,Confirmations,Counterparty Addresses'
+    )
+    assert.equal(
+      lines[1],
+      `2020-01-01T12:00:00.000Z,${txidA},1.50000000,0.00000000,610000,10,"bc1qsender bc1q""quoted"""`
+    )
+    assert.equal(
+      lines[2],
+      `2020-01-02T12:00:00.000Z,${txidB},-0.00020000,0.00001000,0,0,`
+    )
+    assert.equal(lines[3], '')
+  })
+
+  it('Writes ofx and qbo statements', function() {
+    const ofx = exportTransactions(rows, 'ofx', options)
+    assert.match(ofx, /^OFXHEADER:100\n/)
+    assert.include(ofx, '<CURDEF>BTC\n')
+    assert.include(ofx, '<DTSTART>20200101120000\n<DTEND>20200102120000')
+    assert.include(
+      ofx,
+      `<STMTTRN>\n<TRNTYPE>DEBIT\n<DTPOSTED>20200102120000\n<TRNAMT>-0.00020000\n<FITID>${txidB}\n<NAME>BTC\n</STMTTRN>`
+    )
+    assert.include(ofx, '<BALAMT>1.49980000')
+    assert.notInclude(ofx, 'INTU.BID')
+    assert.include(exportTransactions(rows, 'qbo', options), '<INTU.BID>3000')
+    assert.throws(
+      () => exportTransactions(rows, ('pdf': any), options),
+      'Unknown export format pdf'
+    )
+  })
+})
@@ -0,0 +1,55 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  createMultisigScript,
+  parseMultisigScript,
+  sortPublicKeys,
+  validateMultisigSettings
+} from '../../../src/utils/multisig.js'
+
+// BIP67 test vector
+const keyA =
+  '02ff12471208c14bd580709cb2358d98975247d8765f92bc25eab3b2763ed605f8'
+const keyB =
+  '02fe6f0a5a297eb38c391581c4413e084773ea23954d93f7753db7dc0adc188b2f'
+const script = `5221${keyB}21${keyA}52ae`
+
+describe('Multisig scripts', function() {
+  it('Sorts keys as described by BIP67', function() {
+    assert.deepEqual(sortPublicKeys([keyA, keyB]), [keyB, keyA])
+    assert.equal(createMultisigScript(2, [keyA, keyB]), script)
+  })
+
+  it('Parses multisig scripts', function() {
+    assert.deepEqual(parseMultisigScript(script), {
+      threshold: 2,
+      publicKeys: [keyB, keyA]
+    })
+    assert.equal(parseMultisigScript(`0014${keyA.slice(2, 42)}`), null)
+  })
+
+  it('Validates multisig settings', function() {
+    const cosigners = ['xpubA', 'xpubB', 'xpubC']
+    validateMultisigSettings({ threshold: 2, scriptType: 'p2wsh', cosigners })
+    assert.throws(() =>
+      validateMultisigSettings({ threshold: 4, scriptType: 'p2wsh', cosigners })
+    )
+    assert.throws(() =>
+      validateMultisigSettings({
+        threshold: 1,
+        scriptType: 'p2wsh',
+        cosigners: []
+      })
+    )
+    assert.throws(() =>
+      validateMultisigSettings({
+        threshold: 2,
+        scriptType: ('p2tr': any),
+        cosigners
+      })
+    )
+  })
+})
@@ -0,0 +1,45 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  createOpReturnScript,
+  decodeOpReturnScript,
+  parseOpReturn
+} from '../../../src/utils/opReturn.js'
+
+describe('OP_RETURN outputs', function() {
+  it('Reads hex and utf8 payloads', function() {
+    assert.equal(parseOpReturn('deadBEEF').toString('hex'), 'deadbeef')
+    assert.equal(parseOpReturn('hello').toString('utf8'), 'hello')
+    assert.equal(parseOpReturn('abc').toString('utf8'), 'abc')
+    assert.equal(parseOpReturn('00'.repeat(80)).length, 80)
+    assert.throws(
+      () => parseOpReturn('x'.repeat(81)),
+      'OP_RETURN data is over 80 bytes'
+    )
+  })
+
+  it('Round trips data scripts', function() {
+    const text = 'timestamp'
+    const script = createOpReturnScript(Buffer.from(text))
+    assert.equal(script, `6a09${Buffer.from(text).toString('hex')}`)
+    assert.deepEqual(decodeOpReturnScript(script), {
+      hex: Buffer.from(text).toString('hex'),
+      utf8: text
+    })
+
+    const hash = 'ff'.repeat(80)
+    const longScript = createOpReturnScript(Buffer.from(hash, 'hex'))
+    assert.equal(longScript.slice(0, 6), '6a4c50')
+    assert.deepEqual(decodeOpReturnScript(longScript), { hex: hash })
+  })
+
+  it('Ignores other scripts', function() {
+    assert.isNull(decodeOpReturnScript(`0014${'11'.repeat(20)}`))
+    assert.isNull(decodeOpReturnScript('6a0501'))
+    assert.isNull(decodeOpReturnScript('6aac'))
+    assert.deepEqual(decodeOpReturnScript('6a'), { hex: '' })
+  })
+})
@@ -0,0 +1,136 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  createPsbt,
+  decodePsbt,
+  encodePsbt,
+  extractPsbtTx,
+  finalizePsbt,
+  getPsbtUtxo,
+  isPsbtFinalized
+} from '../../../src/utils/psbt.js'
+
+const prevTxid =
+  'fb9a7d71eed1970a1124fad87935eb6bf53ae87eb4c1c77b1590e0710fa7a4e7'
+const outputScript = '0014751e76e8199196d454941c45d1b3a323f1433bd6'
+const unsignedTx =
+  '02000000' +
+  '01' +
+  Buffer.from(prevTxid, 'hex')
+    .reverse()
+    .toString('hex') +
+  '01000000' +
+  '00' +
+  'fdffffff' +
+  '01' +
+  '1027000000000000' +
+  '16' +
+  outputScript +
+  '00000000'
+
+// txid 98b83856161f16f877194e0d80167bff0eb853fda89c2401ca2d99ee4676eca2
+const legacyTxid =
+  '98b83856161f16f877194e0d80167bff0eb853fda89c2401ca2d99ee4676eca2'
+const legacyTx =
+  '0100000001e7a4a70f71e090157bc7c1b47ee83af56beb3579d8fa24110a97d1ee717d9afb010000006b483045022100de863ece760a873d673851f9c81ed148519dfc237d3fd7d43600896d5c5ba651022003e1620cdbbca12596a34fc97495486eb3f8f523453cb031ac531d623af4c7430121038600604184c04d944cd711e08a903043961a8a01d32e738beec1937dea75ae35ffffffff0277060000000000001976a91491c5eab4339b77e897005c3fcf0c123c62fccf9988ac53150000000000001976a914f783b9f78fe45bae833babfa5f2ebf10dd0cb79788ac00000000'
+const reversedHex = (hex: string): string =>
+  Buffer.from(hex, 'hex')
+    .reverse()
+    .toString('hex')
+
+const pubkey =
+  '038600604184c04d944cd711e08a903043961a8a01d32e738beec1937dea75ae35'
+const signature =
+  '3045022100de863ece760a873d673851f9c81ed148519dfc237d3fd7d43600896d5c5ba651022003e1620cdbbca12596a34fc97495486eb3f8f523453cb031ac531d623af4c74301'
+
+const makePsbt = () => {
+  const psbt = createPsbt(unsignedTx)
+  psbt.inputs[0].witnessUtxo = { value: 20000, script: outputScript }
+  psbt.inputs[0].bip32Derivation.push({
+    pubkey,
+    fingerprint: 'd90c6a4f',
+    path: "m/84'/0'/0'/0/1"
+  })
+  return psbt
+}
+
+describe('PSBT', function() {
+  it('Round trips through base64 and hex', function() {
+    const psbt = makePsbt()
+    const base64 = encodePsbt(psbt)
+    assert.deepEqual(decodePsbt(base64), psbt)
+    const hex = Buffer.from(base64, 'base64').toString('hex')
+    assert.equal(hex.slice(0, 10), '70736274ff')
+    assert.deepEqual(decodePsbt(hex), psbt)
+  })
+
+  it('Rejects bad magic bytes', function() {
+    assert.throws(() => decodePsbt('cHNidA=='), 'Invalid PSBT magic bytes')
+  })
+
+  it('Finalizes and extracts a P2WPKH spend', function() {
+    const psbt = makePsbt()
+    assert.equal(isPsbtFinalized(finalizePsbt(psbt, 'bitcoin')), false)
+    assert.throws(() => extractPsbtTx(psbt), 'PSBT is not fully signed')
+
+    psbt.inputs[0].partialSigs[pubkey] = signature
+    const final = finalizePsbt(psbt, 'bitcoin')
+    assert.equal(isPsbtFinalized(final), true)
+    assert.deepEqual(final.inputs[0].finalScriptWitness, [signature, pubkey])
+    assert.deepEqual(final.inputs[0].partialSigs, {})
+    assert.deepEqual(final.inputs[0].bip32Derivation, [])
+
+    const rawTx = extractPsbtTx(final)
+    assert.equal(rawTx.slice(0, 12), '020000000001')
+    assert.equal(rawTx.slice(-8), '00000000')
+    assert.include(rawTx, signature)
+  })
+
+  it('Checks legacy previous transactions against the prevout', function() {
+    const spendsLegacy = createPsbt(
+      unsignedTx.replace(reversedHex(prevTxid), reversedHex(legacyTxid))
+    )
+    spendsLegacy.inputs[0].nonWitnessUtxo = legacyTx
+    assert.deepEqual(getPsbtUtxo(spendsLegacy, 0, 'bitcoin'), {
+      value: 5459,
+      script: '76a914f783b9f78fe45bae833babfa5f2ebf10dd0cb79788ac'
+    })
+
+    // The PSBT spends a different transaction than the one it includes:
+    const lying = createPsbt(unsignedTx)
+    lying.inputs[0].nonWitnessUtxo = legacyTx
+    assert.throws(
+      () => getPsbtUtxo(lying, 0, 'bitcoin'),
+      'Input 0 has the wrong previous transaction'
+    )
+  })
+
+  it('Finalizes a 2-of-2 P2WSH multisig spend', function() {
+    const keyA =
+      '02ff12471208c14bd580709cb2358d98975247d8765f92bc25eab3b2763ed605f8'
+    const keyB =
+      '02fe6f0a5a297eb38c391581c4413e084773ea23954d93f7753db7dc0adc188b2f'
+    const witnessScript = `5221${keyB}21${keyA}52ae`
+    const psbt = createPsbt(unsignedTx)
+    psbt.inputs[0].witnessUtxo = {
+      value: 20000,
+      script: `0020${'11'.repeat(32)}`
+    }
+    psbt.inputs[0].witnessScript = witnessScript
+    psbt.inputs[0].partialSigs[keyA] = signature
+    assert.equal(isPsbtFinalized(finalizePsbt(psbt, 'bitcoin')), false)
+
+    const sigB = signature.replace(/01$/, '81')
+    psbt.inputs[0].partialSigs[keyB] = sigB
+    const final = finalizePsbt(psbt, 'bitcoin')
+    assert.deepEqual(final.inputs[0].finalScriptWitness, [
+      '',
+      sigB,
+      signature,
+      witnessScript
+    ])
+  })
+})
@@ -0,0 +1,90 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+import secp256k1 from 'secp256k1'
+
+import { encodeSegwitAddress } from '../../../src/utils/bech32.js'
+import { parseRawTx } from '../../../src/utils/rawTx.js'
+import {
+  getTaprootOutputKey,
+  schnorrSign,
+  taprootSighash,
+  tweakPrivateKey
+} from '../../../src/utils/taproot.js'
+
+const fromHex = (hex: string) => Buffer.from(hex, 'hex')
+
+describe('Taproot', function() {
+  it('Derives the BIP86 output key', function() {
+    // m/86'/0'/0'/0/0 of the "abandon ... about" test mnemonic
+    const internalKey =
+      '02cc8a4bc64d897bddc5fbc2f670f7a8ba0b386779106cf1223c6fc5d7cd6fc115'
+    const outputKey = getTaprootOutputKey(fromHex(internalKey))
+    assert.equal(
+      outputKey.toString('hex'),
+      'a60869f0dbcf1dc659c9cecbaf8050135ea9e8cdc487053f1dc6880949dc684c'
+    )
+    assert.equal(
+      encodeSegwitAddress('bc', 1, outputKey),
+      'bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr'
+    )
+  })
+
+  it('Tweaks private keys to match their output key', function() {
+    const privateKey = fromHex(`${'00'.repeat(31)}03`)
+    const publicKey = secp256k1.publicKeyCreate(privateKey, true)
+    const tweaked = secp256k1.publicKeyCreate(tweakPrivateKey(privateKey), true)
+    assert.deepEqual(tweaked.slice(1), getTaprootOutputKey(publicKey))
+  })
+
+  it('Creates BIP340 signatures', function() {
+    assert.equal(
+      schnorrSign(
+        fromHex('00'.repeat(32)),
+        fromHex(`${'00'.repeat(31)}03`),
+        fromHex('00'.repeat(32))
+      ).toString('hex'),
+      'e907831f80848d1069a5371b402410364bdf1c5f8307b0084c55f1ce2dca821525f66a4a85ea8b71e482a74f382d2ce5ebeee8fdb2172f477df4900d310536c0'
+    )
+    assert.equal(
+      schnorrSign(
+        fromHex(
+          '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89'
+        ),
+        fromHex(
+          'b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef'
+        ),
+        fromHex(`${'00'.repeat(31)}01`)
+      ).toString('hex'),
+      '6896bd60eeae296db48a229ff71dfe071bde413e6d43f917dc8dcf8c78de33418906d11ac976abccb20b091292bff4ea897efcb639ea871cfa95f6de339e4b0a'
+    )
+  })
+
+  it('Calculates key path signature hashes', function() {
+    const rawTx =
+      '02000000' +
+      '02' +
+      `${'11'.repeat(32)}03000000` +
+      '00fdffffff' +
+      `${'22'.repeat(32)}04000000` +
+      '00fdffffff' +
+      '02' +
+      `3930000000000000160014${'11'.repeat(20)}` +
+      `e703000000000000225120${'22'.repeat(32)}` +
+      '60ae0a00'
+    const prevouts = [
+      { value: 50000, script: `5120${'33'.repeat(32)}` },
+      { value: 70000, script: `0014${'44'.repeat(20)}` }
+    ]
+    const tx = parseRawTx(rawTx)
+    assert.equal(
+      taprootSighash(tx, 0, prevouts).toString('hex'),
+      'c5b15aa2a162a249dd016eb55d1079a1f95a0310ae98fde4338fbc1313a3f4f2'
+    )
+    assert.equal(
+      taprootSighash(tx, 1, prevouts).toString('hex'),
+      'd596adff7732266f778692b08574793ec8112b517147f95c8b56aac07f410dee'
+    )
+  })
+})
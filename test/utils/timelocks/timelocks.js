@@ -0,0 +1,75 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  isTimelockMature,
+  parseTimelockScript,
+  timelockTemplates
+} from '../../../src/utils/timelocks.js'
+
+const publicKey =
+  '0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798'
+const hdKey = { publicKey: Buffer.from(publicKey, 'hex') }
+
+describe('Timelock templates', function() {
+  it('Creates CLTV and CSV scripts', function() {
+    const cltv = timelockTemplates.cltv(hdKey)(['650000'])
+    assert.equal(cltv, `21${publicKey}ad0310eb09b1`)
+    assert.deepEqual(parseTimelockScript(cltv), {
+      type: 'cltv',
+      value: 650000,
+      publicKey
+    })
+
+    const csv = timelockTemplates.csv(hdKey)(['10'])
+    assert.equal(csv, `21${publicKey}ad5ab2`)
+    assert.deepEqual(parseTimelockScript(csv), {
+      type: 'csv',
+      value: 10,
+      publicKey
+    })
+    // Values with the top bit set need an extra byte to stay positive
+    const signed = timelockTemplates.csv(hdKey)(['128'])
+    assert.equal(signed, `21${publicKey}ad028000b2`)
+    assert.equal((parseTimelockScript(signed) || {}).value, 128)
+  })
+
+  it('Names a non-hardened branch without a key', function() {
+    for (const name of ['cltv', 'csv']) {
+      const script = timelockTemplates[name]()()
+      assert.isBelow(parseInt(script.slice(-8), 16), 0x80000000)
+    }
+  })
+
+  it('Refuses invalid locks', function() {
+    assert.throws(() => timelockTemplates.cltv(hdKey)([]), 'Invalid timelock')
+    assert.throws(
+      () => timelockTemplates.csv(hdKey)(['70000']),
+      'Invalid timelock 70000'
+    )
+    assert.equal(parseTimelockScript(`21${publicKey}ad0110b1`), null)
+    assert.equal(parseTimelockScript(`21${publicKey}ad00b1`), null)
+    assert.equal(parseTimelockScript(`21${publicKey}ac`), null)
+  })
+
+  it('Knows when coins mature', function() {
+    const now = 1600000000
+    const byHeight = { type: 'cltv', value: 650000, publicKey }
+    assert.isTrue(isTimelockMature(byHeight, 100, 650000, now))
+    assert.isFalse(isTimelockMature(byHeight, 100, 649999, now))
+    assert.isFalse(isTimelockMature(byHeight, 100, -1, now))
+
+    const byTime = { type: 'cltv', value: now - 3 * 60 * 60, publicKey }
+    assert.isTrue(isTimelockMature(byTime, 100, 650000, now))
+    assert.isFalse(
+      isTimelockMature({ ...byTime, value: now }, 100, 650000, now)
+    )
+
+    const relative = { type: 'csv', value: 10, publicKey }
+    assert.isTrue(isTimelockMature(relative, 100, 109, now))
+    assert.isFalse(isTimelockMature(relative, 100, 108, now))
+    assert.isFalse(isTimelockMature(relative, -1, 650000, now))
+  })
+})
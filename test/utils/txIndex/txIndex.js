@@ -0,0 +1,43 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import { findOlderTx, insertTx, removeTx } from '../../../src/utils/txIndex.js'
+
+const makeIndex = () => {
+  const index = []
+  insertTx(index, { txid: 'b', date: 100, height: 10 })
+  insertTx(index, { txid: 'd', date: 300, height: -1 })
+  insertTx(index, { txid: 'a', date: 100, height: 10 })
+  insertTx(index, { txid: 'c', date: 200, height: 11 })
+  insertTx(index, { txid: 'e', date: 200, height: 0 })
+  return index
+}
+
+describe('Transaction index', function() {
+  it('Sorts from newest to oldest', function() {
+    assert.deepEqual(
+      makeIndex().map(({ txid }) => txid),
+      ['d', 'e', 'c', 'a', 'b']
+    )
+  })
+
+  it('Removes transactions by their old key', function() {
+    const index = makeIndex()
+    removeTx(index, { txid: 'c', date: 200, height: 11 })
+    removeTx(index, { txid: 'x', date: 100, height: 10 })
+    assert.deepEqual(
+      index.map(({ txid }) => txid),
+      ['d', 'e', 'a', 'b']
+    )
+  })
+
+  it('Finds date ranges', function() {
+    const index = makeIndex()
+    assert.equal(findOlderTx(index, 1000), 0)
+    assert.equal(findOlderTx(index, 300), 1)
+    assert.equal(findOlderTx(index, 150), 3)
+    assert.equal(findOlderTx(index, 50), 5)
+  })
+})
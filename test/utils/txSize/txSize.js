@@ -0,0 +1,45 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  estimateVsize,
+  getScriptType,
+  inputScriptSize
+} from '../../../src/utils/txSize.js'
+
+const p2pkh = `76a914${'11'.repeat(20)}88ac`
+const p2sh = `a914${'11'.repeat(20)}87`
+const p2wpkh = `0014${'11'.repeat(20)}`
+const p2wsh = `0020${'11'.repeat(32)}`
+const p2tr = `5120${'11'.repeat(32)}`
+
+describe('Transaction size estimation', function() {
+  it('Recognizes output scripts', function() {
+    assert.equal(getScriptType(p2pkh), 'p2pkh')
+    assert.equal(getScriptType(p2sh), 'p2sh')
+    assert.equal(getScriptType(p2wpkh), 'p2wpkh')
+    assert.equal(getScriptType(p2wsh), 'p2wsh')
+    assert.equal(getScriptType(p2tr), 'p2tr')
+    assert.equal(getScriptType('6a00'), '')
+  })
+
+  it('Matches the sizes of typical transactions', function() {
+    assert.equal(estimateVsize([{ type: 'p2pkh' }], [p2pkh, p2pkh]), 227)
+    assert.equal(estimateVsize([{ type: 'p2wpkh' }], [p2wpkh, p2wpkh]), 141)
+    assert.equal(estimateVsize([{ type: 'p2sh-p2wpkh' }], [p2sh, p2sh]), 166)
+    assert.equal(estimateVsize([{ type: 'p2tr' }], [p2tr, p2tr]), 154)
+  })
+
+  it('Sizes multisig inputs', function() {
+    const multisig = { threshold: 2, keys: 3 }
+    assert.equal(estimateVsize([{ type: 'p2wsh', multisig }], [p2wsh]), 159)
+    assert.equal(inputScriptSize({ type: 'p2sh', multisig }), 259)
+  })
+
+  it('Sizes custom redeem scripts', function() {
+    const redeemScript = '00'.repeat(143)
+    assert.equal(inputScriptSize({ type: 'p2sh', redeemScript }), 220)
+  })
+})